@@ -1,9 +1,12 @@
 import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
 import { createHash } from 'crypto';
-import { writeFileSync, mkdirSync, rmSync, existsSync } from 'fs';
+import { writeFileSync, mkdirSync, rmSync, existsSync, readdirSync, utimesSync } from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { parse } from 'node-html-parser';
+import postcss from 'postcss';
+import { SourceMapConsumer } from 'source-map-js';
+import { CustomElement } from '@aurelia/runtime-html';
 import aureliaSingleFileComponent from '../src/index.js';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -17,9 +20,10 @@ if (!existsSync(fixturesDir)) {
 
 describe('Aurelia SFC Vite Plugin', () => {
   let plugin;
+  let stylePlugin;
   
   beforeEach(() => {
-    plugin = aureliaSingleFileComponent();
+    [plugin, stylePlugin] = aureliaSingleFileComponent();
   });
 
   afterEach(() => {
@@ -30,6 +34,26 @@ describe('Aurelia SFC Vite Plugin', () => {
     }
   });
 
+  // Loads and scopes the style blocks a component imports, as Vite's CSS pipeline would
+  async function loadStyles(file, [sfcPlugin, scopePlugin] = [plugin, stylePlugin]) {
+    const { code } = await sfcPlugin.load(scriptRequest(file));
+    const requests = new Map();
+    for (const [, id, index] of code.matchAll(/'([^']+\?aurelia-sfc&type=style&index=(\d+)[^']*)'/g)) {
+      if (!requests.has(index)) requests.set(index, id);
+    }
+
+    const blocks = [];
+    for (const id of requests.values()) {
+      const loaded = await sfcPlugin.load(id);
+      blocks.push({ id, ...(scopePlugin.transform(loaded.code, id) || loaded) });
+    }
+    return { code: blocks.map((block) => block.code.trim()).join('\n'), blocks };
+  }
+
+  // Component module of a `.au` file, and the request for its first style block when unscoped plain CSS
+  const scriptRequest = (file) => `${file}?aurelia-sfc&type=script`;
+  const styleRequest = (file) => `${file}?aurelia-sfc&type=style&index=0&lang.css`;
+
   describe('Plugin Configuration', () => {
     test('should return valid plugin object with correct structure', () => {
       expect(plugin).toMatchObject({
@@ -40,6 +64,11 @@ describe('Aurelia SFC Vite Plugin', () => {
         resolveId: expect.any(Function),
         load: expect.any(Function)
       });
+      expect(stylePlugin).toMatchObject({
+        name: 'vite-plugin-aurelia-sfc:style',
+        transform: expect.any(Function),
+      });
+      expect(stylePlugin.enforce).toBeUndefined();
     });
 
     test('should accept and merge custom options', () => {
@@ -54,42 +83,57 @@ describe('Aurelia SFC Vite Plugin', () => {
         }
       };
       
-      const customPlugin = aureliaSingleFileComponent(customOptions);
+      const [customPlugin] = aureliaSingleFileComponent(customOptions);
       expect(customPlugin.name).toBe('vite-plugin-aurelia-sfc');
     });
   });
 
-  describe('Virtual Module Resolution', () => {
-    test('should resolve relative .au files correctly', () => {
-      const result = plugin.resolveId('./component.au', '/src/index.js');
-      expect(result).toBe('virtual:/src/component.au');
+  describe('Module Resolution', () => {
+    // Stands in for Vite's resolver, with an `@` alias and packages under /project/node_modules
+    const resolver = {
+      resolve: jest.fn(async (id, importer) => {
+        if (id === 'missing.au') return null;
+        if (id === 'cdn.au') return { id, external: true };
+        if (id.startsWith('@/')) return { id: path.join('/project/src', id.slice(2)) };
+        if (id.startsWith('.')) return { id: path.resolve(path.dirname(importer), id) };
+        return { id: path.join('/project/node_modules', id) };
+      }),
+    };
+    const resolve = (id, importer, sfcPlugin = plugin) => sfcPlugin.resolveId.call(resolver, id, importer, {});
+
+    test('should resolve relative .au files to their component module', async () => {
+      expect(await resolve('./component.au', '/src/index.js')).toBe('/src/component.au?aurelia-sfc&type=script');
+      expect(await resolve('../shared/component.au', '/src/components/index.js'))
+        .toBe('/src/shared/component.au?aurelia-sfc&type=script');
     });
 
-    test('should resolve parent directory .au files', () => {
-      const result = plugin.resolveId('../shared/component.au', '/src/components/index.js');
-      expect(result).toBe('virtual:/src/shared/component.au');
+    test('should resolve aliased and package .au imports through Vite', async () => {
+      expect(await resolve('@/components/card.au', '/project/src/main.js'))
+        .toBe('/project/src/components/card.au?aurelia-sfc&type=script');
+      expect(await resolve('ui-kit/button.au', '/project/src/main.js'))
+        .toBe('/project/node_modules/ui-kit/button.au?aurelia-sfc&type=script');
+      expect(resolver.resolve).toHaveBeenCalledWith('ui-kit/button.au', '/project/src/main.js', { skipSelf: true });
     });
 
-    test('should resolve .au.css files correctly', () => {
-      const result = plugin.resolveId('./component.au.css', '/src/index.js');
-      expect(result).toBe('virtual:/src/component.au.css');
-    });
+    test('should skip unresolved, external and excluded files', async () => {
+      const [legacyPlugin] = aureliaSingleFileComponent({ exclude: /legacy/ });
 
-    test('should resolve absolute .au imports', () => {
-      const result = plugin.resolveId('component.au', '/src/index.js');
-      expect(result).toBe('virtual:component.au');
+      expect(await resolve('missing.au', '/src/index.js')).toBeNull();
+      expect(await resolve('cdn.au', '/src/index.js')).toBeNull();
+      expect(await resolve('./legacy/old.au', '/src/index.js', legacyPlugin)).toBeNull();
+      expect(await resolve('./modern.au', '/src/index.js', legacyPlugin)).toBe('/src/modern.au?aurelia-sfc&type=script');
     });
 
-    test('should not resolve non-.au files', () => {
-      expect(plugin.resolveId('./component.js', '/src/index.js')).toBeNull();
-      expect(plugin.resolveId('./styles.css', '/src/index.js')).toBeNull();
-      expect(plugin.resolveId('./component.vue', '/src/index.js')).toBeNull();
+    test('should leave block requests and other files to Vite', async () => {
+      expect(await resolve('/src/component.au?aurelia-sfc&type=style&index=0&lang.css', '/src/index.js')).toBeNull();
+      expect(await resolve('./component.js', '/src/index.js')).toBeNull();
+      expect(await resolve('./styles.css', '/src/index.js')).toBeNull();
+      expect(await resolve('./component.vue', '/src/index.js')).toBeNull();
     });
 
-    test('should handle resolveId errors gracefully', () => {
-      expect(() => {
-        plugin.resolveId('./test.au', null);
-      }).not.toThrow();
+    test('should handle resolveId errors gracefully', async () => {
+      const failing = { resolve: async () => { throw new Error('boom'); } };
+      await expect(plugin.resolveId.call(failing, './test.au', null, {})).resolves.toBeNull();
     });
   });
 
@@ -117,7 +161,7 @@ describe('Aurelia SFC Vite Plugin', () => {
       const testFile = path.join(fixturesDir, 'valid-component.au');
       writeFileSync(testFile, validSFC);
 
-      const result = await plugin.load(`virtual:${testFile}`);
+      const { code: result } = await plugin.load(scriptRequest(testFile));
       expect(result).toContain('const template =');
       expect(result).toContain('my-component');
       expect(result).toContain("import '");
@@ -134,7 +178,7 @@ describe('Aurelia SFC Vite Plugin', () => {
       const testFile = path.join(fixturesDir, 'structure-valid.au');
       writeFileSync(testFile, validSFC);
 
-      const result = await plugin.load(`virtual:${testFile}`);
+      const { code: result } = await plugin.load(scriptRequest(testFile));
       expect(result).toContain('const template =');
       expect(result).toContain('Valid');
       
@@ -169,7 +213,7 @@ describe('Aurelia SFC Vite Plugin', () => {
       const testFile = path.join(fixturesDir, 'css-test.au');
       writeFileSync(testFile, sfcWithCSS);
 
-      const result = await plugin.load(`virtual:${testFile}.css`);
+      const { code: result } = await loadStyles(testFile);
       expect(result).toContain('.test { color: red; background: blue; }');
       expect(result).toContain('.another { font-size: 16px; }');
     });
@@ -187,7 +231,7 @@ describe('Aurelia SFC Vite Plugin', () => {
       const testFile = path.join(fixturesDir, 'scoped-test.au');
       writeFileSync(testFile, sfcWithScopedCSS);
 
-      const result = await plugin.load(`virtual:${testFile}.css`);
+      const { code: result } = await loadStyles(testFile);
       const scopeId = 'data-v-' + createHash('md5').update(testFile).digest('hex').slice(0, 8);
       
       expect(result).toContain(`[${scopeId}]`);
@@ -210,7 +254,7 @@ describe('Aurelia SFC Vite Plugin', () => {
       const testFile = path.join(fixturesDir, 'multiple-styles.au');
       writeFileSync(testFile, sfcMultipleStyles);
 
-      const result = await plugin.load(`virtual:${testFile}.css`);
+      const { code: result } = await loadStyles(testFile);
       expect(result).toContain('.global { color: red; }');
       expect(result).toContain('.scoped[data-v-');
     });
@@ -229,7 +273,7 @@ describe('Aurelia SFC Vite Plugin', () => {
       const testFile = path.join(fixturesDir, 'global-selectors.au');
       writeFileSync(testFile, sfcGlobalSelectors);
 
-      const result = await plugin.load(`virtual:${testFile}.css`);
+      const { code: result } = await loadStyles(testFile);
       expect(result).toContain('.local[data-v-');
       expect(result).toContain('.global-class { color: blue; }');
       expect(result).toContain('body { margin: 0; }');
@@ -248,12 +292,154 @@ describe('Aurelia SFC Vite Plugin', () => {
       const testFile = path.join(fixturesDir, 'host-selectors.au');
       writeFileSync(testFile, sfcHostSelectors);
 
-      const result = await plugin.load(`virtual:${testFile}.css`);
+      const { code: result } = await loadStyles(testFile);
       const scopeId = 'data-v-' + createHash('md5').update(testFile).digest('hex').slice(0, 8);
       
-      expect(result).toContain(`[${scopeId}] { display: block; }`);
-      // The actual output format for :host(.active) is different
-      expect(result).toContain(`[${scopeId}](.active) { color: red; }`);
+      expect(result).toContain(`[${scopeId}-host] { display: block; }`);
+      expect(result).toContain(`[${scopeId}-host].active { color: red; }`);
+    });
+
+    test('should handle :host-context() and descendants of :host', async () => {
+      const sfcHostContext = `
+        <template><div class="title">Test</div></template>
+        <script>export default class Test {}</script>
+        <style scoped>
+          :host-context(.dark) { color: white; }
+          :host-context(body.rtl) .title { text-align: right; }
+          :host(.active) .title { font-weight: bold; }
+        </style>
+      `;
+
+      const testFile = path.join(fixturesDir, 'host-context-selectors.au');
+      writeFileSync(testFile, sfcHostContext);
+
+      const { code: result } = await loadStyles(testFile);
+      const scopeId = 'data-v-' + createHash('md5').update(testFile).digest('hex').slice(0, 8);
+
+      expect(result).toContain(`.dark [${scopeId}-host] { color: white; }`);
+      expect(result).toContain(`body.rtl [${scopeId}-host] .title[${scopeId}] { text-align: right; }`);
+      expect(result).toContain(`[${scopeId}-host].active .title[${scopeId}] { font-weight: bold; }`);
+    });
+
+    test('should insert scope attribute before pseudo-elements', async () => {
+      const sfcPseudoElements = `
+        <template><div>Test</div></template>
+        <script>export default class Test {}</script>
+        <style scoped>
+          .a::before, .b:hover { color: red; }
+          .c > .d:first-line { color: blue; }
+        </style>
+      `;
+
+      const testFile = path.join(fixturesDir, 'pseudo-elements.au');
+      writeFileSync(testFile, sfcPseudoElements);
+
+      const { code: result } = await loadStyles(testFile);
+      const scopeId = 'data-v-' + createHash('md5').update(testFile).digest('hex').slice(0, 8);
+
+      expect(result).toContain(`.a[${scopeId}]::before, .b:hover[${scopeId}] { color: red; }`);
+      expect(result).toContain(`.c > .d[${scopeId}]:first-line { color: blue; }`);
+    });
+
+    test('should scope rules nested in conditional at-rules and leave keyframes alone', async () => {
+      const sfcAtRules = `
+        <template><div>Test</div></template>
+        <script>export default class Test {}</script>
+        <style scoped>
+          @media (max-width: 600px) {
+            @supports (display: grid) {
+              .grid { display: grid; }
+            }
+          }
+          @container card (min-width: 400px) {
+            .title { font-size: 2rem; }
+          }
+          @keyframes spin {
+            from { transform: rotate(0deg); }
+            50% { opacity: 0.5; }
+            to { transform: rotate(360deg); }
+          }
+        </style>
+      `;
+
+      const testFile = path.join(fixturesDir, 'at-rules.au');
+      writeFileSync(testFile, sfcAtRules);
+
+      const { code: result } = await loadStyles(testFile);
+      const scopeId = 'data-v-' + createHash('md5').update(testFile).digest('hex').slice(0, 8);
+
+      expect(result).toContain(`.grid[${scopeId}] { display: grid; }`);
+      expect(result).toContain(`.title[${scopeId}] { font-size: 2rem; }`);
+      expect(result).toContain('from { transform: rotate(0deg); }');
+      expect(result).toContain('50% { opacity: 0.5; }');
+      expect(result).toContain('to { transform: rotate(360deg); }');
+      expect(result).toContain('@media (max-width: 600px)');
+    });
+
+    test('should not be confused by strings, comments and attribute selectors', async () => {
+      const sfcTricky = `
+        <template><div>Test</div></template>
+        <script>export default class Test {}</script>
+        <style scoped>
+          /* .commented, .out { */
+          a[title="a,b{c}"] { color: red; }
+          .quote::after { content: "{ x, y }"; }
+          :global(.theme:not(.a, .b)) .item { color: blue; }
+        </style>
+      `;
+
+      const testFile = path.join(fixturesDir, 'tricky-css.au');
+      writeFileSync(testFile, sfcTricky);
+
+      const { code: result } = await loadStyles(testFile);
+      const scopeId = 'data-v-' + createHash('md5').update(testFile).digest('hex').slice(0, 8);
+
+      expect(result).toContain('/* .commented, .out { */');
+      expect(result).toContain(`a[title="a,b{c}"][${scopeId}] { color: red; }`);
+      expect(result).toContain(`.quote[${scopeId}]::after { content: "{ x, y }"; }`);
+      expect(result).toContain('.theme:not(.a, .b) .item { color: blue; }');
+    });
+
+    test('should pierce child components with :deep()', async () => {
+      const sfcDeep = `
+        <template><div class="wrapper">Test</div></template>
+        <script>export default class Test {}</script>
+        <style scoped>
+          .wrapper :deep(.child-inner) { color: red; }
+          .list > ::v-deep(.item .label) { color: blue; }
+          :deep(.anywhere) { color: green; }
+        </style>
+      `;
+
+      const testFile = path.join(fixturesDir, 'deep-selectors.au');
+      writeFileSync(testFile, sfcDeep);
+
+      const { code: result } = await loadStyles(testFile);
+      const scopeId = 'data-v-' + createHash('md5').update(testFile).digest('hex').slice(0, 8);
+
+      expect(result).toContain(`.wrapper[${scopeId}] .child-inner { color: red; }`);
+      expect(result).toContain(`.list[${scopeId}] > .item .label { color: blue; }`);
+      expect(result).toContain(`[${scopeId}] .anywhere { color: green; }`);
+    });
+
+    test('should target projected content with :slotted()', async () => {
+      const sfcSlotted = `
+        <template><div class="panel"><au-slot></au-slot></div></template>
+        <script>export default class Test {}</script>
+        <style scoped>
+          :slotted(.item) { color: red; }
+          .panel :slotted(p::first-line) { color: blue; }
+        </style>
+      `;
+
+      const testFile = path.join(fixturesDir, 'slotted-selectors.au');
+      writeFileSync(testFile, sfcSlotted);
+
+      const { code: result } = await loadStyles(testFile);
+      const scopeId = 'data-v-' + createHash('md5').update(testFile).digest('hex').slice(0, 8);
+
+      expect(result).toContain(`[${scopeId}] .item:not([${scopeId}]) { color: red; }`);
+      expect(result).toContain(`.panel[${scopeId}] p:not([${scopeId}])::first-line { color: blue; }`);
     });
 
     test('should skip global selectors in scoped mode', async () => {
@@ -271,7 +457,7 @@ describe('Aurelia SFC Vite Plugin', () => {
       const testFile = path.join(fixturesDir, 'global-elements.au');
       writeFileSync(testFile, sfcGlobalElements);
 
-      const result = await plugin.load(`virtual:${testFile}.css`);
+      const { code: result } = await loadStyles(testFile);
       expect(result).toContain('.local[data-v-');
       expect(result).toContain('html { margin: 0; }');
       expect(result).toContain('body { padding: 0; }');
@@ -287,7 +473,7 @@ describe('Aurelia SFC Vite Plugin', () => {
       const testFile = path.join(fixturesDir, 'no-styles.au');
       writeFileSync(testFile, sfcNoStyles);
 
-      const result = await plugin.load(`virtual:${testFile}.css`);
+      const { code: result } = await loadStyles(testFile);
       expect(result).toBe('');
     });
   });
@@ -304,7 +490,7 @@ describe('Aurelia SFC Vite Plugin', () => {
       const testFile = path.join(fixturesDir, 'special-chars.au');
       writeFileSync(testFile, templateWithSpecialChars);
 
-      const result = await plugin.load(`virtual:${testFile}`);
+      const { code: result } = await plugin.load(scriptRequest(testFile));
       expect(result).toContain('\\`backticks\\`');
       expect(result).toContain('\\${expressions}');
       expect(result).toContain('\\\\backslashes');
@@ -327,7 +513,7 @@ describe('Aurelia SFC Vite Plugin', () => {
       const testFile = path.join(fixturesDir, 'scoped-template.au');
       writeFileSync(testFile, scopedComponent);
 
-      const result = await plugin.load(`virtual:${testFile}`);
+      const { code: result } = await plugin.load(scriptRequest(testFile));
       const scopeId = 'data-v-' + createHash('md5').update(testFile).digest('hex').slice(0, 8);
       
       // The scope attribute is injected into the template, which is then embedded in the JS
@@ -336,6 +522,486 @@ describe('Aurelia SFC Vite Plugin', () => {
     });
   });
 
+  describe('Nested Scope Attributes', () => {
+    const nestedComponent = `
+      <template>
+        <div class="card">
+          <h2 class="title">Title</h2>
+          <template if.bind="expanded">
+            <ul class="list"><li class="item">One</li></ul>
+          </template>
+          <let total.bind="1"></let>
+          <au-slot><p class="fallback">Fallback</p></au-slot>
+          <user-avatar><span class="caption">Projected</span></user-avatar>
+        </div>
+      </template>
+      <script>export default class Test {}</script>
+      <style scoped>
+        .card .title { font-weight: bold; }
+        .card .list > .item { color: red; }
+        .card .fallback { color: gray; }
+        .card .caption { color: blue; }
+        .card user-avatar { display: block; }
+      </style>
+    `;
+
+    async function loadNested(fileName) {
+      const testFile = path.join(fixturesDir, fileName);
+      writeFileSync(testFile, nestedComponent);
+
+      const { code: js } = await plugin.load(scriptRequest(testFile));
+      const { code: css } = await loadStyles(testFile);
+      const scopeId = 'data-v-' + createHash('md5').update(testFile).digest('hex').slice(0, 8);
+      const template = parse(js.match(/const template = `([\s\S]*?)`;/)[1]);
+
+      return { css, scopeId, template };
+    }
+
+    test('should add the scope attribute to every nested element', async () => {
+      const { scopeId, template } = await loadNested('nested-scope.au');
+
+      for (const selector of ['.card', '.title', '.list', '.item', '.fallback', 'user-avatar', '.caption']) {
+        expect(template.querySelector(selector).hasAttribute(scopeId)).toBe(true);
+      }
+    });
+
+    test('should skip template controllers, let and slot elements', async () => {
+      const { scopeId, template } = await loadNested('nested-scope-skipped.au');
+
+      expect(template.querySelector('template').hasAttribute(scopeId)).toBe(false);
+      expect(template.querySelector('let').hasAttribute(scopeId)).toBe(false);
+      expect(template.querySelector('au-slot').hasAttribute(scopeId)).toBe(false);
+    });
+
+    test('should make scoped descendant selectors match nested elements', async () => {
+      const { css, template } = await loadNested('nested-scope-match.au');
+      const selectors = [...css.matchAll(/^\s*([^{}]+?)\s*\{/gm)].map((match) => match[1]);
+
+      expect(selectors).toHaveLength(5);
+      for (const selector of selectors) {
+        expect(template.querySelectorAll(selector)).toHaveLength(1);
+      }
+    });
+  });
+
+  describe('Scoped Host Element', () => {
+    test('should stamp the host scope id from the created hook', async () => {
+      const scopedComponent = `
+        <template><div>Test</div></template>
+        <script>export default class HostComponent {}</script>
+        <style scoped>:host { display: block; }</style>
+      `;
+
+      const testFile = path.join(fixturesDir, 'host-stamp.au');
+      writeFileSync(testFile, scopedComponent);
+
+      const { code: result } = await plugin.load(scriptRequest(testFile));
+      const scopeId = 'data-v-' + createHash('md5').update(testFile).digest('hex').slice(0, 8);
+
+      expect(result).toContain('HostComponent.prototype.created = function (controller)');
+      expect(result).toContain(`host.setAttribute('${scopeId}-host', '')`);
+    });
+
+    test('should chain an existing created hook', async () => {
+      const scopedComponent = `
+        <template><div>Test</div></template>
+        <script>
+          export default class HostComponent {
+            created(controller) {
+              this.controller = controller;
+            }
+          }
+        </script>
+        <style scoped>:host { display: block; }</style>
+      `;
+
+      const testFile = path.join(fixturesDir, 'host-stamp-chained.au');
+      writeFileSync(testFile, scopedComponent);
+
+      const { code: result } = await plugin.load(scriptRequest(testFile));
+      expect(result).toContain('const __auScopedCreated = HostComponent.prototype.created;');
+      expect(result).toContain('__auScopedCreated.apply(this, arguments)');
+    });
+
+    test('should not touch the created hook without scoped styles', async () => {
+      const unscopedComponent = `
+        <template><div>Test</div></template>
+        <script>export default class HostComponent {}</script>
+        <style>.test { color: red; }</style>
+      `;
+
+      const testFile = path.join(fixturesDir, 'host-unscoped.au');
+      writeFileSync(testFile, unscopedComponent);
+
+      const { code: result } = await plugin.load(scriptRequest(testFile));
+      expect(result).not.toContain('prototype.created');
+    });
+  });
+
+  describe('Shadow DOM Mode', () => {
+    test('should register styles with shadowCSS for <template shadow>', async () => {
+      const shadowComponent = `
+        <template shadow="closed"><div class="card">Test</div></template>
+        <script>export default class ShadowCard {}</script>
+        <style scoped>
+          :host { display: block; }
+          .card { color: red; }
+        </style>
+      `;
+
+      const testFile = path.join(fixturesDir, 'shadow-template.au');
+      writeFileSync(testFile, shadowComponent);
+
+      const { code: result } = await plugin.load(scriptRequest(testFile));
+      expect(result).toContain("import { customElement, shadowCSS } from 'aurelia';");
+      expect(result).toContain(`import __auShadowCss0 from '${testFile}?aurelia-sfc&type=style&index=0&inline&lang.css';`);
+      expect(result).toContain("shadowOptions: { mode: 'closed' }");
+      expect(result).toContain('dependencies: [shadowCSS(__auShadowStyles)]');
+      expect(result).not.toContain(`import '${testFile}?aurelia`);
+      expect(result).not.toContain('data-v-');
+      expect(result).not.toContain('prototype.created');
+    });
+
+    test('should leave shadow styles unscoped', async () => {
+      const shadowComponent = `
+        <template><div class="card">Test</div></template>
+        <script>export default class ShadowCard {}</script>
+        <style shadow scoped>
+          :host { display: block; }
+          .card { color: red; }
+        </style>
+      `;
+
+      const testFile = path.join(fixturesDir, 'shadow-style.au');
+      writeFileSync(testFile, shadowComponent);
+
+      const { code: js } = await plugin.load(scriptRequest(testFile));
+      const { code: css, blocks } = await loadStyles(testFile);
+      expect(js).toContain("shadowOptions: { mode: 'open' }");
+      expect(blocks[0].id).toBe(`${testFile}?aurelia-sfc&type=style&index=0&inline&lang.css`);
+      expect(css).toContain(':host { display: block; }');
+      expect(css).toContain('.card { color: red; }');
+      expect(css).not.toContain('data-v-');
+    });
+
+    test('should replace the adopted stylesheet on HMR', async () => {
+      const shadowComponent = `
+        <template shadow><div>Test</div></template>
+        <script>export default class ShadowCard {}</script>
+        <style>div { color: red; }</style>
+        <style lang="scss">span { color: blue; }</style>
+      `;
+
+      const testFile = path.join(fixturesDir, 'shadow-hmr.au');
+      writeFileSync(testFile, shadowComponent);
+
+      const { code: result } = await plugin.load(scriptRequest(testFile));
+      expect(result).toContain('new CSSStyleSheet()');
+      expect(result).toContain('const __auShadowCss = [__auShadowCss0, __auShadowCss1];');
+      expect(result).toContain(
+        `import.meta.hot.accept(['${testFile}?aurelia-sfc&type=style&index=0&inline&lang.css', ` +
+        `'${testFile}?aurelia-sfc&type=style&index=1&inline&lang.scss']`
+      );
+      expect(result).toContain("__auShadowStyles.replaceSync(__auShadowCss.join('\\n'))");
+    });
+
+    test('should set shadowOptions without styles', async () => {
+      const shadowComponent = `
+        <template shadow="open"><div>Test</div></template>
+        <script>export default class ShadowCard {}</script>
+      `;
+
+      const testFile = path.join(fixturesDir, 'shadow-no-styles.au');
+      writeFileSync(testFile, shadowComponent);
+
+      const { code: result } = await plugin.load(scriptRequest(testFile));
+      expect(result).toContain("shadowOptions: { mode: 'open' }");
+      expect(result).not.toContain('shadowCSS');
+      expect(result).not.toContain('.css');
+    });
+  });
+
+  describe('CSS Source Maps', () => {
+    function originalLineOf(code, map, text) {
+      const lines = code.split('\n');
+      const line = lines.findIndex((l) => l.includes(text));
+      const consumer = new SourceMapConsumer(map);
+      return consumer.originalPositionFor({ line: line + 1, column: lines[line].indexOf(text) });
+    }
+
+    test('should keep style blocks on their lines in the .au file', async () => {
+      const sfc = [
+        '<template><div class="card">Test</div></template>',
+        '<script>export default class Test {}</script>',
+        '<style lang="scss">',
+        '$primary: blue;',
+        '.card { color: $primary; }',
+        '</style>',
+      ].join('\n');
+
+      const testFile = path.join(fixturesDir, 'css-map-padded.au');
+      writeFileSync(testFile, sfc);
+
+      // Vite compiles the block as the .au file, so its own maps point at the right lines
+      const { code, map } = await plugin.load(`${testFile}?aurelia-sfc&type=style&index=0&lang.scss`);
+      expect(code.split('\n')[4]).toBe('.card { color: $primary; }');
+      expect(map).toBeNull();
+    });
+
+    test('should map scoped CSS back to the compiled block', async () => {
+      const css = ['.card { color: red; }', '.card::before { content: "x"; }'].join('\n');
+      const testFile = path.join(fixturesDir, 'css-map-scoped.au');
+      const id = `${testFile}?aurelia-sfc&type=style&index=0&scoped=1a2b3c4d&lang.css`;
+
+      const { code, map } = stylePlugin.transform(css, id);
+      expect(code).toContain('.card[data-v-1a2b3c4d]::before');
+      expect(originalLineOf(code, map, 'content: "x"').line).toBe(2);
+    });
+
+    test('should map custom preprocessor output back to the .au file', async () => {
+      const sfc = [
+        '<template><div>Test</div></template>',
+        '<script>export default class Test {}</script>',
+        '<style lang="upper">',
+        '.title { color: red; }',
+        '</style>',
+      ].join('\n');
+
+      const testFile = path.join(fixturesDir, 'css-map-custom.au');
+      writeFileSync(testFile, sfc);
+      const [customPlugin] = aureliaSingleFileComponent({
+        style: {
+          preprocessors: {
+            upper: (css) => {
+              const root = postcss.parse(css, { from: 'block.upper' });
+              root.walkDecls((decl) => { decl.value = decl.value.toUpperCase(); });
+              const result = root.toResult({ map: { inline: false } });
+              return { css: result.css, map: result.map.toJSON() };
+            },
+          },
+        },
+      });
+
+      const { code, map } = await customPlugin.load(styleRequest(testFile));
+      expect(code).toContain('color: RED');
+      expect(map.sources).toEqual([path.join(fixturesDir, 'block.upper')]);
+      expect(originalLineOf(code, map, '.title').line).toBe(4);
+    });
+
+    test('should import nothing when there are no styles', async () => {
+      const testFile = path.join(fixturesDir, 'css-map-empty.au');
+      writeFileSync(testFile, '<template><div>Test</div></template><script>export default class Test {}</script>');
+
+      const { code } = await plugin.load(scriptRequest(testFile));
+      expect(code).not.toContain('?aurelia-sfc&type=style');
+    });
+  });
+
+  describe('CSS Modules', () => {
+    test('should request module blocks as CSS modules from Vite', async () => {
+      const moduleComponent = `
+        <template><div class="\${$style.card}">Test</div></template>
+        <script>export default class ModuleCard {}</script>
+        <style module lang="scss">
+          .card { &-title { font-weight: bold; } }
+        </style>
+      `;
+
+      const testFile = path.join(fixturesDir, 'css-module.au');
+      writeFileSync(testFile, moduleComponent);
+
+      const { code: result } = await plugin.load(scriptRequest(testFile));
+      expect(result).toContain(
+        `import __auStyleModule0 from '${testFile}?aurelia-sfc&type=style&index=0&lang.module.scss';`
+      );
+      expect(result).not.toContain(`import '${testFile}?aurelia`);
+    });
+
+    test('should expose class maps on the component under their module names', async () => {
+      const moduleComponent = `
+        <template><div class="\${$style.card} \${classes.button}">Test</div></template>
+        <script>export default class ModuleCard {}</script>
+        <style module>.card { color: red; }</style>
+        <style module="classes">.button { color: blue; }</style>
+        <style module>.title { color: green; }</style>
+      `;
+
+      const testFile = path.join(fixturesDir, 'css-module-names.au');
+      writeFileSync(testFile, moduleComponent);
+
+      const { code: result } = await plugin.load(scriptRequest(testFile));
+      expect(result).toContain(
+        "const __auStyleModules = { '$style': { ...__auStyleModule0, ...__auStyleModule2 }, " +
+        "'classes': { ...__auStyleModule1 } };"
+      );
+      expect(result).toContain('Object.assign(ModuleCard.prototype, __auStyleModules);');
+    });
+
+    test('should scope CSS modules after Vite hashes them', async () => {
+      const testFile = path.join(fixturesDir, 'css-module-scoped.au');
+      writeFileSync(testFile, `
+        <template><div class="\${$style.card}">Test</div></template>
+        <script>export default class ModuleCard {}</script>
+        <style module scoped>.card { color: red; }</style>
+      `);
+
+      const { code: result } = await plugin.load(scriptRequest(testFile));
+      const [, id] = result.match(/import __auStyleModule0 from '([^']+)'/);
+      const hash = createHash('md5').update(testFile).digest('hex').slice(0, 8);
+      expect(id).toBe(`${testFile}?aurelia-sfc&type=style&index=0&scoped=${hash}&lang.module.css`);
+      expect(stylePlugin.transform('._card_x1 { color: red; }', id).code)
+        .toBe(`._card_x1[data-v-${hash}] { color: red; }`);
+    });
+
+    test('should add module blocks to the shadow stylesheet', async () => {
+      const testFile = path.join(fixturesDir, 'css-module-shadow.au');
+      writeFileSync(testFile, `
+        <template shadow><div class="\${$style.card}">Test</div></template>
+        <script>export default class ModuleCard {}</script>
+        <style module>.card { color: red; }</style>
+      `);
+
+      const { code: result } = await plugin.load(scriptRequest(testFile));
+      const id = `${testFile}?aurelia-sfc&type=style&index=0&inline&lang.module.css`;
+      expect(result).toContain(`import __auShadowCss0, { __auLocals as __auStyleModule0 } from '${id}';`);
+      // The class names come with the inline stylesheet, so nothing is added to the document
+      expect(result).not.toContain('&index=0&lang.module.css');
+    });
+
+    test('should export the class names of inline CSS modules', () => {
+      const [sfcPlugin, , modulesPlugin] = aureliaSingleFileComponent();
+      const userGetJSON = jest.fn();
+      const { css } = sfcPlugin.config({ css: { modules: { getJSON: userGetJSON } } });
+      const id = `${path.join(fixturesDir, 'card.au')}?aurelia-sfc&type=style&index=0&inline&lang.module.css`;
+
+      // Vite's CSS plugin reports the class names, then turns the stylesheet into a string export
+      css.modules.getJSON(id, { card: '_card_x1' }, id);
+      expect(userGetJSON).toHaveBeenCalledWith(id, { card: '_card_x1' }, id);
+      expect(modulesPlugin.transform('export default "._card_x1 { color: red; }"', id).code).toBe(
+        'export default "._card_x1 { color: red; }"\nexport const __auLocals = {"card":"_card_x1"};'
+      );
+      expect(modulesPlugin.transform('export default ""', id.replace('&inline', ''))).toBeNull();
+      expect(sfcPlugin.config({ css: { modules: false } })).toBeUndefined();
+    });
+  });
+
+  describe('Template Precompilation', () => {
+    const errorContext = { error: (message) => { throw new Error(message); } };
+
+    test('should emit compiled instructions instead of a raw template', async () => {
+      const [precompilePlugin] = aureliaSingleFileComponent({ precompile: true });
+      const component = `
+        <template>
+          <div class="card \${variant}" click.trigger="toggle()">\${title}</div>
+          <p if.bind="expanded">Details</p>
+        </template>
+        <script>export default class PrecompiledCard {}</script>
+      `;
+
+      const testFile = path.join(fixturesDir, 'precompiled.au');
+      writeFileSync(testFile, component);
+
+      const { code } = await precompilePlugin.load(scriptRequest(testFile));
+      expect(code).toContain('needsCompile: false');
+      expect(code).toContain('instructions: __auInstructions');
+      expect(code).toContain('"$kind": "Interpolation"');
+      expect(code).toContain('"res": "if"');
+      expect(code).toContain('<!--au*-->');
+      expect(code).not.toContain('click.trigger');
+      expect(code).not.toContain('if.bind');
+    });
+
+    test('should render the same DOM as runtime compilation', async () => {
+      const { JSDOM } = await import('jsdom');
+      const { DI, Registration } = await import('@aurelia/kernel');
+      const { Aurelia, IPlatform, StandardConfiguration } = await import('@aurelia/runtime-html');
+      const { BrowserPlatform } = await import('@aurelia/platform-browser');
+
+      const testFile = path.join(fixturesDir, 'precompile-render.au');
+      writeFileSync(testFile, `
+        <template>
+          <div>\${title} clicked \${count} times</div>
+          <p if.bind="count === 0">Nothing \${title} yet, \${count}!</p>
+        </template>
+        <script>export default class Counter { title = 'Hi'; count = 0; }</script>
+      `);
+      const render = async (options, moduleFile) => {
+        const [renderPlugin] = aureliaSingleFileComponent(options);
+        writeFileSync(moduleFile, (await renderPlugin.load(scriptRequest(testFile))).code);
+        const { default: Counter } = await import(moduleFile);
+
+        const { window } = new JSDOM('<div id="app"></div>');
+        const container = DI.createContainer().register(
+          StandardConfiguration,
+          Registration.instance(IPlatform, new BrowserPlatform(window))
+        );
+        const host = window.document.getElementById('app');
+        const au = new Aurelia(container).app({ host, component: Counter });
+        await au.start();
+        const html = host.innerHTML;
+        await au.stop(true);
+        return html;
+      };
+
+      const runtime = await render({}, path.join(fixturesDir, 'runtime-counter.mjs'));
+      const precompiled = await render({ precompile: true }, path.join(fixturesDir, 'precompiled-counter.mjs'));
+      expect(runtime).toContain('<div>Hi clicked 0 times</div>');
+      expect(runtime).toContain('<p>Nothing Hi yet, 0!</p>');
+      expect(precompiled).toBe(runtime);
+    });
+
+    test('should surface binding syntax errors at build time', async () => {
+      const [precompilePlugin] = aureliaSingleFileComponent({ precompile: true });
+      const component = `
+        <template><div>\${value +}</div></template>
+        <script>export default class Broken {}</script>
+      `;
+
+      const testFile = path.join(fixturesDir, 'precompile-error.au');
+      writeFileSync(testFile, component);
+
+      await expect(precompilePlugin.load.call(errorContext, scriptRequest(testFile)))
+        .rejects.toThrow('Template compilation failed');
+    });
+
+    test('should fall back to runtime compilation for unknown custom elements', async () => {
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const [precompilePlugin] = aureliaSingleFileComponent({ precompile: true });
+      const component = `
+        <template><user-avatar user.bind="user"></user-avatar></template>
+        <script>export default class Profile {}</script>
+      `;
+
+      const testFile = path.join(fixturesDir, 'precompile-unknown.au');
+      writeFileSync(testFile, component);
+
+      const { code } = await precompilePlugin.load(scriptRequest(testFile));
+      expect(code).not.toContain('needsCompile: false');
+      expect(code).toContain('user.bind="user"');
+      expect(warn).toHaveBeenCalledWith(expect.stringContaining('unknown custom elements: user-avatar'));
+      warn.mockRestore();
+    });
+
+    test('should compile against registered dependencies', async () => {
+      const UserAvatar = CustomElement.define({ name: 'user-avatar', bindables: ['user'] }, class {});
+      const [precompilePlugin] = aureliaSingleFileComponent({
+        precompile: { dependencies: [UserAvatar] }
+      });
+      const component = `
+        <template><user-avatar user.bind="user"></user-avatar></template>
+        <script>export default class Profile {}</script>
+      `;
+
+      const testFile = path.join(fixturesDir, 'precompile-dependencies.au');
+      writeFileSync(testFile, component);
+
+      const { code } = await precompilePlugin.load(scriptRequest(testFile));
+      expect(code).toContain('needsCompile: false');
+      expect(code).toContain('"res": "user-avatar"');
+      expect(code).toContain('"to": "user"');
+    });
+  });
+
   describe('Script Processing', () => {
     test('should extract component name from @customElement decorator', async () => {
       const componentWithName = `
@@ -351,7 +1017,7 @@ describe('Aurelia SFC Vite Plugin', () => {
       const testFile = path.join(fixturesDir, 'named-component.au');
       writeFileSync(testFile, componentWithName);
 
-      const result = await plugin.load(`virtual:${testFile}`);
+      const { code: result } = await plugin.load(scriptRequest(testFile));
       expect(result).toContain("name: 'my-custom-element'");
     });
 
@@ -366,7 +1032,7 @@ describe('Aurelia SFC Vite Plugin', () => {
       const testFile = path.join(fixturesDir, 'derived-name.au');
       writeFileSync(testFile, componentNoName);
 
-      const result = await plugin.load(`virtual:${testFile}`);
+      const { code: result } = await plugin.load(scriptRequest(testFile));
       expect(result).toContain("name: 'my-awesome-component'");
     });
 
@@ -382,7 +1048,7 @@ describe('Aurelia SFC Vite Plugin', () => {
       const testFile = path.join(fixturesDir, 'object-decorator.au');
       writeFileSync(testFile, componentObjectDecorator);
 
-      const result = await plugin.load(`virtual:${testFile}`);
+      const { code: result } = await plugin.load(scriptRequest(testFile));
       expect(result).toContain("name: 'object-style-component'");
     });
 
@@ -403,7 +1069,7 @@ describe('Aurelia SFC Vite Plugin', () => {
       const testFile = path.join(fixturesDir, 'with-imports.au');
       writeFileSync(testFile, componentWithImports);
 
-      const result = await plugin.load(`virtual:${testFile}`);
+      const { code: result } = await plugin.load(scriptRequest(testFile));
       expect(result).toContain("import { observable } from 'aurelia';");
       // Note: unused imports might be removed by TypeScript transpilation
       expect(result).toContain("import { customElement } from 'aurelia';");
@@ -433,13 +1099,751 @@ describe('Aurelia SFC Vite Plugin', () => {
       const testFile = path.join(fixturesDir, 'multiline-imports.au');
       writeFileSync(testFile, componentMultiLineImports);
 
-      const result = await plugin.load(`virtual:${testFile}`);
+      const { code: result } = await plugin.load(scriptRequest(testFile));
       // After transpilation, the imports should be preserved if they're used
       expect(result).toContain('TestComponent');
       expect(result).toContain('customElement');
     });
   });
 
+  describe('Script Transform', () => {
+    const loadScript = async (name, script) => {
+      const testFile = path.join(fixturesDir, `${name}.au`);
+      writeFileSync(testFile, `<template><div>Test</div></template>\n<script>\n${script}\n</script>`);
+      const { code } = await plugin.load(scriptRequest(testFile));
+      return code;
+    };
+
+    test('should leave dynamic imports at the start of a line in place', async () => {
+      const result = await loadScript('dynamic-import', `
+export default class Lazy {
+  load() {
+    return (
+import('./heavy')
+    );
+  }
+}`);
+      expect(result).toContain("import('./heavy')");
+      expect(result.indexOf("import('./heavy')")).toBeGreaterThan(result.indexOf('class Lazy'));
+    });
+
+    test('should hoist multi-line type imports', async () => {
+      const result = await loadScript('type-imports', `
+import type {
+  User,
+  Settings
+} from './types';
+import { inject } from 'aurelia';
+
+export default class Profile {
+  user?: User;
+  settings?: Settings;
+}`);
+      expect(result).not.toContain('./types');
+      expect(result).toContain("from 'aurelia'");
+      expect(result).toContain("customElement({ name: 'profile', template })");
+    });
+
+    test('should keep comments attached to side-effect imports', async () => {
+      const result = await loadScript('side-effect-import', `
+import './polyfill'; // must run first
+export default class Polyfilled {}`);
+      expect(result).toContain("import './polyfill'; // must run first");
+      expect(result.indexOf("import './polyfill'")).toBeLessThan(result.indexOf('const template'));
+    });
+
+    test('should not treat template strings containing "import " as imports', async () => {
+      const result = await loadScript('template-string-import', `
+export default class Docs {
+  example = \`
+import { thing } from 'somewhere';
+\`;
+}`);
+      expect(result.indexOf("import { thing } from 'somewhere';")).toBeGreaterThan(result.indexOf('const template'));
+      expect(result.split('somewhere')).toHaveLength(2);
+    });
+
+    test('should preserve re-exports', async () => {
+      const result = await loadScript('re-export', `
+import { helper } from './helper';
+export { format } from './format';
+export default class ReExporting {
+  value = helper();
+}`);
+      expect(result).toContain("export { format } from './format';");
+      expect(result).toContain("import { helper } from './helper';");
+    });
+
+    test('should decorate the real class, not one mentioned in a comment', async () => {
+      const result = await loadScript('commented-class', `
+// export default class Fake {}
+export default class Real {}`);
+      expect(result).toContain("customElement({ name: 'real', template })");
+      expect(result).not.toContain("name: 'fake'");
+    });
+
+    test('should decorate a named export class', async () => {
+      const result = await loadScript('named-export', 'export class NamedExport {}');
+      expect(result).toContain("customElement({ name: 'named-export', template })");
+    });
+
+    test('should decorate a class exported as default by name', async () => {
+      const separate = await loadScript('separate-default', 'class Separate {}\nexport default Separate;');
+      expect(separate).toContain("customElement({ name: 'separate', template })");
+
+      const specifier = await loadScript('specifier-default', 'class Specified {}\nexport { Specified as default };');
+      expect(specifier).toContain("customElement({ name: 'specified', template })");
+    });
+
+    test('should prefer the exported class named after the file', async () => {
+      const result = await loadScript('user-card', `
+export class CardModel {}
+export class UserCard {}`);
+      expect(result).toContain("customElement({ name: 'user-card', template })");
+      expect(result).not.toContain("name: 'card-model'");
+    });
+
+    test('should name anonymous classes from the file name', async () => {
+      const result = await loadScript('profile-badge', 'export default class {\n  level = 1;\n}');
+      expect(result).toContain("customElement({ name: 'profile-badge', template })");
+      expect(result).toContain('export default ProfileBadge');
+    });
+
+    test('should fail clearly when no component class is exported', async () => {
+      const testFile = path.join(fixturesDir, 'no-class.au');
+      writeFileSync(testFile, '<template><div>Test</div></template><script>export const value = 1;</script>');
+
+      await expect(
+        plugin.load.call({ error: (message) => { throw new Error(message); } }, scriptRequest(testFile))
+      ).rejects.toThrow(/No component class found in .*no-class\.au/);
+    });
+  });
+
+  describe('Existing Definitions', () => {
+    const loadScript = async (name, script, template = '<template><div>Test</div></template>') => {
+      const testFile = path.join(fixturesDir, `${name}.au`);
+      writeFileSync(testFile, `${template}\n<script>\n${script}\n</script>`);
+      const { code } = await plugin.load(scriptRequest(testFile));
+      return code;
+    };
+
+    test('should merge the template into an existing decorator object', async () => {
+      const result = await loadScript('merged-decorator', `
+import { customElement } from 'aurelia';
+import { Child } from './child';
+
+@customElement({ name: 'merged-el', dependencies: [Child], containerless: true })
+export default class Merged {}`);
+      expect(result).toContain(
+        "customElement({ template, name: 'merged-el', dependencies: [Child], containerless: true })"
+      );
+      expect(result.match(/customElement\(/g)).toHaveLength(1);
+      expect(result.match(/import \{ customElement \}/g)).toHaveLength(1);
+    });
+
+    test('should expand a string decorator into an options object', async () => {
+      const result = await loadScript('string-decorator', `
+import { customElement } from 'aurelia';
+
+@customElement('string-el')
+export default class StringDecorated {}`);
+      expect(result).toContain("customElement({ name: 'string-el', template })");
+      expect(result.match(/customElement\(/g)).toHaveLength(1);
+    });
+
+    test('should keep author options and append generated dependencies', async () => {
+      const result = await loadScript('shadow-decorator', `
+import { customElement } from 'aurelia';
+import { Child } from './child';
+
+@customElement({ name: 'shadow-el', shadowOptions: { mode: 'closed' }, dependencies: [Child] })
+export default class ShadowDecorated {}`, '<template shadow><div>Test</div></template><style>div { color: red; }</style>');
+      expect(result).toContain("shadowOptions: { mode: 'closed' }");
+      expect(result).not.toContain("mode: 'open'");
+      expect(result).toContain('dependencies: [...[Child], shadowCSS(__auShadowStyles)]');
+      expect(result).toContain("import { shadowCSS } from 'aurelia';");
+    });
+
+    test('should expand shorthand dependencies before appending to them', async () => {
+      const decorated = await loadScript('shorthand-decorator', `
+import { customElement } from 'aurelia';
+import { Child } from './child';
+const dependencies = [Child];
+
+@customElement({ name: 'shorthand-el', dependencies })
+export default class ShorthandDecorated {}`, '<template shadow><div>Test</div></template><style>div { color: red; }</style>');
+      expect(decorated).toContain('dependencies: [...dependencies, shadowCSS(__auShadowStyles)]');
+      expect(decorated).not.toContain('[]:');
+
+      const staticAu = await loadScript('shorthand-static', `
+import { Child } from './child';
+const dependencies = [Child];
+
+export default class ShorthandStatic {
+  static $au = { type: 'custom-element', name: 'shorthand-static-el', dependencies };
+}`, '<template shadow><div>Test</div></template><style>div { color: red; }</style>');
+      expect(staticAu).toContain('dependencies: [...dependencies, shadowCSS(__auShadowStyles)]');
+    });
+
+    test('should merge into a static $au definition without decorating', async () => {
+      const result = await loadScript('static-au', `
+export default class StaticAu {
+  static $au = { type: 'custom-element', name: 'static-au-el' };
+}`);
+      expect(result).toContain("$au = { template, type: 'custom-element', name: 'static-au-el' }");
+      expect(result).not.toContain('customElement');
+    });
+  });
+
+  describe('Static Definitions', () => {
+    const loadStatic = async (name, content) => {
+      const testFile = path.join(fixturesDir, `${name}.au`);
+      writeFileSync(testFile, content);
+      const [staticPlugin] = aureliaSingleFileComponent({ definition: 'static' });
+      const { code } = await staticPlugin.load(scriptRequest(testFile));
+      return code;
+    };
+
+    test('should emit a static $au definition instead of a decorator', async () => {
+      const result = await loadStatic(
+        'static-definition',
+        '<template><div>Test</div></template><script>export default class StaticDefinition {}</script>'
+      );
+      expect(result).toContain("static $au = { type: 'custom-element', name: 'static-definition', template };");
+      expect(result).not.toContain('customElement');
+      expect(result).not.toContain('__esDecorate');
+    });
+
+    test('should include shadow DOM options and dependencies', async () => {
+      const result = await loadStatic(
+        'static-shadow',
+        '<template shadow><div>Test</div></template><style>div { color: red; }</style>' +
+        '<script>export default class StaticShadow {}</script>'
+      );
+      expect(result).toContain("shadowOptions: { mode: 'open' }");
+      expect(result).toContain('dependencies: [shadowCSS(__auShadowStyles)]');
+      expect(result).toContain("import { shadowCSS } from 'aurelia';");
+    });
+
+    test('should still merge into a decorator the author wrote', async () => {
+      const result = await loadStatic('static-with-decorator', `
+        <template><div>Test</div></template>
+        <script>
+          import { customElement } from 'aurelia';
+          @customElement('decorated-anyway')
+          export default class DecoratedAnyway {}
+        </script>
+      `);
+      expect(result).toContain("customElement({ name: 'decorated-anyway', template })");
+      expect(result).not.toContain('$au');
+    });
+  });
+
+  describe('Template Imports', () => {
+    const loadTemplate = async (name, template) => {
+      const testFile = path.join(fixturesDir, `${name}.au`);
+      writeFileSync(testFile, `<template>${template}</template>\n<script>export default class ImportingElement {}</script>`);
+      const { code } = await plugin.load(scriptRequest(testFile));
+      return code;
+    };
+
+    test('should turn <import> and <require> into ES imports and dependencies', async () => {
+      writeFileSync(path.join(fixturesDir, 'sibling-el.au'), '<template>Sibling</template><script>export default class SiblingEl {}</script>');
+
+      const result = await loadTemplate('template-imports', `
+        <import from="./sibling-el">
+        <require from="./value-converters"></require>
+        <sibling-el></sibling-el>`);
+      expect(result).toContain("import * as __auDependency0 from './sibling-el.au';");
+      expect(result).toContain("import * as __auDependency1 from './value-converters';");
+      expect(result).toContain('dependencies: [__auDependency0, __auDependency1]');
+      expect(result).toContain('const template = `<sibling-el></sibling-el>`;');
+      expect(result).toContain('export default ImportingElement');
+    });
+
+    test('should register aliased resources', async () => {
+      const result = await loadTemplate('aliased-imports', `
+        <import from="./formatters" as="fmt">
+        <import from="./widgets" date-picker.as="picker">`);
+      expect(result).toContain("import { aliasedResourcesRegistry as __auAliasedResources } from '@aurelia/kernel';");
+      expect(result).toContain("__auAliasedResources(__auDependency0, 'fmt', {})");
+      expect(result).toContain("__auAliasedResources(__auDependency1, null, { 'date-picker': 'picker' })");
+    });
+
+    test('should import stylesheets without registering them', async () => {
+      const result = await loadTemplate('stylesheet-import', '<import from="./theme.css"><div>Themed</div>');
+      expect(result).toContain("import './theme.css';");
+      expect(result).not.toContain('dependencies');
+    });
+
+    test('should require a from attribute', async () => {
+      const testFile = path.join(fixturesDir, 'import-without-from.au');
+      writeFileSync(testFile, '<template><import as="x"><div></div></template><script>export default class X {}</script>');
+
+      await expect(
+        plugin.load.call({ error: (message) => { throw new Error(message); } }, scriptRequest(testFile))
+      ).rejects.toThrow('<import> without a "from" attribute');
+    });
+  });
+
+  describe('Template Bindables', () => {
+    test('should register <bindable> elements and the template bindable attribute', async () => {
+      const testFile = path.join(fixturesDir, 'template-bindables.au');
+      writeFileSync(testFile, `
+        <template bindable="first, last">
+          <bindable name="value" mode="two-way" attribute="val">
+          <bindable name="size"></bindable>
+          <input value.bind="value">
+        </template>
+        <script>export default class TemplateBindables {}</script>
+      `);
+
+      const { code: result } = await plugin.load(scriptRequest(testFile));
+      expect(result).toContain(
+        "bindables: ['first', 'last', { name: 'value', mode: 'twoWay', attribute: 'val' }, 'size']"
+      );
+      expect(result).toContain('const template = `<input value.bind="value">`;');
+    });
+
+    test('should leave declarations of inline local elements in place', async () => {
+      const testFile = path.join(fixturesDir, 'inline-local-bindables.au');
+      writeFileSync(testFile, `
+        <template>
+          <bindable name="rows"></bindable>
+          <template as-custom-element="my-row"><bindable name="item"></bindable><span>\${item}</span></template>
+          <my-row item.bind="x"></my-row>
+        </template>
+        <script>export default class Host {}</script>
+      `);
+
+      const { code: result } = await plugin.load(scriptRequest(testFile));
+      expect(result).toContain("bindables: ['rows']");
+      expect(result).toContain(
+        '<template as-custom-element="my-row"><bindable name="item"></bindable><span>\\${item}</span></template>'
+      );
+    });
+
+    test('should append to bindables listed in an existing decorator', async () => {
+      const testFile = path.join(fixturesDir, 'merged-bindables.au');
+      writeFileSync(testFile, `
+        <template><bindable name="label"><span>\${label}</span></template>
+        <script>
+          import { customElement, bindable } from 'aurelia';
+
+          @customElement({ name: 'merged-bindables', bindables: ['icon'] })
+          export default class MergedBindables {
+            @bindable size = 'small';
+          }
+        </script>
+      `);
+
+      const { code: result } = await plugin.load(scriptRequest(testFile));
+      expect(result).toContain("bindables: [...['icon'], 'label']");
+      expect(result).toContain('_size_decorators = [bindable]');
+    });
+
+    test('should append to bindables an existing definition names', async () => {
+      const loadBindables = async (name, script) => {
+        const testFile = path.join(fixturesDir, `${name}.au`);
+        writeFileSync(testFile, `<template><bindable name="label"><span>\${label}</span></template><script>${script}</script>`);
+        const { code } = await plugin.load(scriptRequest(testFile));
+        return code;
+      };
+
+      const shorthand = await loadBindables('shorthand-bindables', `
+        import { customElement } from 'aurelia';
+        const bindables = ['icon'];
+        @customElement({ name: 'shorthand-bindables', bindables })
+        export default class ShorthandBindables {}
+      `);
+      expect(shorthand).toContain("bindables: [...Object.values(Bindable.from(bindables)), 'label']");
+      expect(shorthand).toContain("import { Bindable } from 'aurelia';");
+
+      const identifier = await loadBindables('identifier-bindables', `
+        import { Bindable } from 'aurelia';
+        import { BINDABLES } from './bindables';
+        export default class IdentifierBindables {
+          static $au = { type: 'custom-element', name: 'identifier-bindables', bindables: BINDABLES };
+        }
+      `);
+      expect(identifier).toContain("bindables: [...Object.values(Bindable.from(BINDABLES)), 'label']");
+      expect(identifier.match(/import \{ Bindable \}/g)).toHaveLength(1);
+    });
+
+    test('should add to bindables declared as a record', async () => {
+      const testFile = path.join(fixturesDir, 'record-bindables.au');
+      writeFileSync(testFile, `
+        <template><bindable name="label"><span>\${label}</span></template>
+        <script>
+          import { customElement } from 'aurelia';
+
+          @customElement({ name: 'record-bindables', bindables: { icon: { mode: 'twoWay' } } })
+          export default class RecordBindables {}
+        </script>
+      `);
+
+      const { code: result } = await plugin.load(scriptRequest(testFile));
+      expect(result).toContain(
+        "bindables: [...Object.values(Bindable.from({ icon: { mode: 'twoWay' } })), 'label']"
+      );
+    });
+
+    test('should require a bindable name', async () => {
+      const testFile = path.join(fixturesDir, 'bindable-without-name.au');
+      writeFileSync(testFile, '<template><bindable mode="two-way"></template><script>export default class X {}</script>');
+
+      await expect(
+        plugin.load.call({ error: (message) => { throw new Error(message); } }, scriptRequest(testFile))
+      ).rejects.toThrow('<bindable> without a "name" attribute');
+    });
+  });
+
+  describe('Template-only Components', () => {
+    test('should synthesize a class named after the file', async () => {
+      const testFile = path.join(fixturesDir, 'badge-label.au');
+      writeFileSync(testFile, '<template bindable="text"><span class="badge">${text}</span></template>');
+
+      const { code: result, map } = await plugin.load(scriptRequest(testFile));
+      expect(result).toContain("customElement({ name: 'badge-label', template, bindables: ['text'] })");
+      expect(result).toContain('export default BadgeLabel');
+      expect(map).toBeNull();
+    });
+
+    test('should take the name from as-custom-element', async () => {
+      const testFile = path.join(fixturesDir, 'template-only-named.au');
+      writeFileSync(
+        testFile,
+        '<template as-custom-element="fancy-box"><div class="box"><slot></slot></div></template>' +
+        '<style scoped>.box { border: 1px solid; }</style>'
+      );
+
+      const { code: result } = await plugin.load(scriptRequest(testFile));
+      expect(result).toContain("customElement({ name: 'fancy-box', template })");
+      expect(result).toContain('export default FancyBox');
+      expect(result).toContain('FancyBox.prototype.created');
+    });
+  });
+
+  describe('Local Elements', () => {
+    test('should define extra templates as local elements and register them', async () => {
+      const testFile = path.join(fixturesDir, 'local-elements.au');
+      writeFileSync(testFile, `
+        <template>
+          <user-row repeat.for="user of users" user.bind="user"></user-row>
+        </template>
+        <template as-custom-element="user-row">
+          <bindable name="user">
+          <span>\${user.name}</span>
+        </template>
+        <template as-custom-element="empty-state"><p>Nothing here</p></template>
+        <script>
+          export default class LocalElements {
+            users = [];
+          }
+        </script>
+      `);
+
+      const { code: result } = await plugin.load(scriptRequest(testFile));
+      expect(result).toContain("import { customElement, CustomElement } from 'aurelia';");
+      expect(result).toContain(
+        "const __auLocalElement0 = CustomElement.define({ name: 'user-row', template: `<span>\\${user.name}</span>`, bindables: ['user'] }, class UserRow {"
+      );
+      expect(result).toContain("CustomElement.define({ name: 'empty-state', template: `<p>Nothing here</p>` }");
+      expect(result).toContain('dependencies: [__auLocalElement0, __auLocalElement1]');
+      expect(result).toContain('const template = `<user-row repeat.for="user of users" user.bind="user"></user-row>`;');
+    });
+
+    test('should scope local element templates with the file scope', async () => {
+      const testFile = path.join(fixturesDir, 'scoped-local-elements.au');
+      writeFileSync(testFile, `
+        <template><list-item></list-item></template>
+        <template as-custom-element="list-item"><li>Item</li></template>
+        <style scoped>li { color: red; }</style>
+        <script>export default class ScopedLocalElements {}</script>
+      `);
+
+      const { code: result } = await plugin.load(scriptRequest(testFile));
+      const scopeId = result.match(/data-v-[a-f0-9]{8}/)[0];
+      expect(result).toContain(`template: \`<li ${scopeId}>Item</li>\``);
+    });
+
+    test('should warn about extra templates without a name', async () => {
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const testFile = path.join(fixturesDir, 'unnamed-extra-template.au');
+      writeFileSync(testFile, '<template><div>Main</div></template><template><div>Extra</div></template>');
+
+      const { code: result } = await plugin.load(scriptRequest(testFile));
+      expect(warnSpy).toHaveBeenCalledWith(expect.stringContaining('Multiple <template> tags'));
+      expect(result).not.toContain('Extra</div>');
+      warnSpy.mockRestore();
+    });
+  });
+
+  describe('Module Scripts', () => {
+    const moduleComponent = (moduleAttribute) => `
+      <template>\${price | money}</template>
+      <script ${moduleAttribute}>
+        import { valueConverter } from 'aurelia';
+
+        export const CURRENCY = 'EUR';
+
+        @valueConverter('money')
+        export class MoneyValueConverter {
+          toView(value) { return value + ' ' + CURRENCY; }
+        }
+
+        class PriceFormatter {}
+      </script>
+      <script>
+        import { valueConverter } from 'aurelia';
+
+        export default class PriceTag {
+          price = 10;
+        }
+      </script>
+    `;
+
+    test('should emit the module script at module scope and register its resources', async () => {
+      const testFile = path.join(fixturesDir, 'module-script.au');
+      writeFileSync(testFile, moduleComponent('context="module"'));
+
+      const { code: result } = await plugin.load(scriptRequest(testFile));
+      expect(result).toContain("export const CURRENCY = 'EUR';");
+      expect(result).toContain('class PriceFormatter');
+      expect(result).toContain("customElement({ name: 'price-tag', template, dependencies: [MoneyValueConverter] })");
+      expect(result.match(/import \{ valueConverter \}/g)).toHaveLength(1);
+      expect(result.indexOf('class PriceFormatter')).toBeLessThan(result.indexOf('let PriceTag'));
+    });
+
+    test('should accept a setup attribute', async () => {
+      const testFile = path.join(fixturesDir, 'setup-script.au');
+      writeFileSync(testFile, moduleComponent('setup'));
+
+      const { code: result } = await plugin.load(scriptRequest(testFile));
+      expect(result).toContain('dependencies: [MoneyValueConverter]');
+      expect(result).toContain('export default PriceTag');
+    });
+
+    test('should map module code back to its block', async () => {
+      const testFile = path.join(fixturesDir, 'module-script-map.au');
+      writeFileSync(testFile, moduleComponent('context="module"'));
+
+      const { code, map } = await plugin.load(scriptRequest(testFile));
+      const consumer = new SourceMapConsumer(map);
+      const line = code.split('\n').findIndex((text) => text.includes("CURRENCY = 'EUR'")) + 1;
+      expect(consumer.originalPositionFor({ line, column: 0 }).line).toBe(6);
+    });
+  });
+
+  describe('Custom Blocks', () => {
+    test('should pass block content and attributes to the registered handler', async () => {
+      const i18n = jest.fn(({ content, componentName }) => (
+        `export const messages = { '${componentName}': ${content.trim()} };`
+      ));
+      const [customPlugin] = aureliaSingleFileComponent({ customBlocks: { i18n } });
+      const testFile = path.join(fixturesDir, 'i18n-block.au');
+      writeFileSync(testFile, `
+        <template><p>\${'greeting' | t}</p></template>
+        <i18n lang="json">{ "en": { "greeting": "<b>Hello</b>" } }</i18n>
+        <script>export default class Greeting {}</script>
+      `);
+
+      const { code: result } = await customPlugin.load(scriptRequest(testFile));
+      expect(i18n).toHaveBeenCalledWith(expect.objectContaining({
+        content: '{ "en": { "greeting": "<b>Hello</b>" } }',
+        attributes: { lang: 'json' },
+        filePath: testFile,
+        className: 'Greeting',
+        componentName: 'greeting',
+      }));
+      expect(result).toContain('export const messages = { \'greeting\': { "en": { "greeting": "<b>Hello</b>" } } };');
+    });
+
+    test('should await async handlers and skip empty results', async () => {
+      const docs = [];
+      const [customPlugin] = aureliaSingleFileComponent({
+        customBlocks: {
+          docs: async ({ content }) => { docs.push(content.trim()); },
+          story: async () => 'export const story = true;',
+        },
+      });
+      const testFile = path.join(fixturesDir, 'docs-block.au');
+      writeFileSync(testFile, `
+        <template><div>Docs</div></template>
+        <docs># Usage <x-el></docs>
+        <story></story>
+        <script>export default class Documented {}</script>
+      `);
+
+      const { code: result } = await customPlugin.load(scriptRequest(testFile));
+      expect(docs).toEqual(['# Usage <x-el>']);
+      expect(result).toContain('export const story = true;');
+    });
+
+    test('should warn about blocks without a handler', async () => {
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const testFile = path.join(fixturesDir, 'unknown-block.au');
+      writeFileSync(testFile, '<template><div>Test</div></template><notes>todo</notes><script>export default class Noted {}</script>');
+
+      await plugin.load(scriptRequest(testFile));
+      expect(warnSpy).toHaveBeenCalledWith(expect.stringContaining('Unknown <notes> block'));
+      warnSpy.mockRestore();
+    });
+  });
+
+  describe('External Block Sources', () => {
+    const writeExternalComponent = (name) => {
+      const dir = path.join(fixturesDir, name);
+      mkdirSync(dir, { recursive: true });
+      writeFileSync(path.join(dir, 'user-card.ts'), 'export default class UserCard {\n  name: string = "Ada";\n}\n');
+      writeFileSync(path.join(dir, 'user-card.html'), '<template bindable="avatar">\n  <p class="name">${name}</p>\n</template>\n');
+      writeFileSync(path.join(dir, 'user-card.scss'), '$color: red;\n.name { color: $color; }\n');
+      const testFile = path.join(dir, 'user-card.au');
+      writeFileSync(testFile, [
+        '<template src="./user-card.html"></template>',
+        '<script src="./user-card.ts"></script>',
+        '<style src="./user-card.scss" scoped></style>',
+      ].join('\n'));
+      return { dir, testFile };
+    };
+
+    test('should load blocks from the files their src attributes point to', async () => {
+      const { testFile } = writeExternalComponent('external-blocks');
+
+      const { code: result } = await plugin.load(scriptRequest(testFile));
+      expect(result).toContain("customElement({ name: 'user-card', template, bindables: ['avatar'] })");
+      expect(result).toMatch(/const template = `<p class="name" data-v-[a-f0-9]{8}>\\\$\{name\}<\/p>`;/);
+      expect(result).toContain('name = "Ada"');
+
+      const { code: css } = await loadStyles(testFile);
+      expect(css).toMatch(/\.name\[data-v-[a-f0-9]{8}\]/);
+      expect(css).toContain('color: red');
+    });
+
+    test('should request external stylesheets on their own file', async () => {
+      const { dir, testFile } = writeExternalComponent('external-style-request');
+      const sharedDir = path.join(fixturesDir, 'shared');
+      mkdirSync(sharedDir, { recursive: true });
+      writeFileSync(path.join(sharedDir, 'card.scss'), '@use "./tokens";\n.card { color: red; }\n');
+      writeFileSync(path.join(dir, 'user-card.au'), [
+        '<template><div class="card"></div></template>',
+        '<script>export default class UserCard {}</script>',
+        '<style src="../shared/card.scss" scoped></style>',
+      ].join('\n'));
+
+      const { code } = await plugin.load(scriptRequest(testFile));
+      const [, id] = code.match(/import '([^']+)';/);
+      expect(id).toMatch(new RegExp(`^${path.join(sharedDir, 'card.scss')}\\?aurelia-sfc&type=style&index=0&src&scoped=[a-f0-9]{8}&lang\\.scss$`));
+
+      // Vite compiles the file as is, then the scope is applied
+      const loaded = await plugin.load(id);
+      expect(loaded.code).toBe('@use "./tokens";\n.card { color: red; }\n');
+      const scoped = stylePlugin.transform('.card { color: red; }', id);
+      expect(scoped.code).toMatch(/\.card\[data-v-[a-f0-9]{8}\]/);
+      expect(scoped.map.sources).toEqual(['card.scss']);
+    });
+
+    test('should watch external files', async () => {
+      const { dir, testFile } = writeExternalComponent('external-watch');
+      const addWatchFile = jest.fn();
+
+      await plugin.load.call({ addWatchFile }, scriptRequest(testFile));
+      expect(addWatchFile.mock.calls.map(([file]) => file).sort()).toEqual([
+        path.join(dir, 'user-card.html'),
+        path.join(dir, 'user-card.scss'),
+        path.join(dir, 'user-card.ts'),
+      ]);
+    });
+
+    test('should recompile when an external file changes', async () => {
+      const { dir, testFile } = writeExternalComponent('external-cache');
+
+      await plugin.load(scriptRequest(testFile));
+      writeFileSync(path.join(dir, 'user-card.ts'), 'export default class UserCard {\n  name = "Grace";\n}\n');
+      const { code: result } = await plugin.load(scriptRequest(testFile));
+      expect(result).toContain('name = "Grace"');
+    });
+
+    test('should map external scripts back to their own file', async () => {
+      const { dir, testFile } = writeExternalComponent('external-map');
+
+      const { code, map } = await plugin.load(scriptRequest(testFile));
+      const consumer = new SourceMapConsumer(map);
+      const line = code.split('\n').findIndex((text) => text.includes('name = "Ada"')) + 1;
+      const original = consumer.originalPositionFor({ line, column: code.split('\n')[line - 1].indexOf('name') });
+      expect(original.source).toBe(path.join(dir, 'user-card.ts'));
+      expect(original.line).toBe(2);
+    });
+
+    test('should report missing external files', async () => {
+      const testFile = path.join(fixturesDir, 'missing-src.au');
+      writeFileSync(testFile, '<template><div></div></template><script src="./nowhere.ts"></script>');
+
+      await expect(
+        plugin.load.call({ error: (message) => { throw new Error(message); } }, scriptRequest(testFile))
+      ).rejects.toThrow('Cannot find ./nowhere.ts referenced by <script>');
+    });
+  });
+
+  describe('Script Source Maps', () => {
+    test('should return the map separately instead of inlining it', async () => {
+      const testFile = path.join(fixturesDir, 'js-map-separate.au');
+      writeFileSync(testFile, '<template><div>Test</div></template><script>export default class Test {}</script>');
+
+      const { code, map } = await plugin.load(scriptRequest(testFile));
+      expect(code).not.toContain('sourceMappingURL');
+      expect(map.sources).toEqual([testFile]);
+      expect(map.sourcesContent[0]).toContain('export default class Test');
+    });
+
+    test('should map transpiled code to lines inside the .au file', async () => {
+      const sfc = [
+        '<template><div>${greeting}</div></template>',
+        '',
+        '<script lang="ts">',
+        "  import { bindable } from 'aurelia';",
+        '',
+        '  interface Options { loud: boolean }',
+        '',
+        '  export default class Greeter {',
+        "    @bindable greeting: string = 'Hello';",
+        '',
+        '    greet(name: string, options?: Options): string {',
+        "      return options?.loud ? 'HEY ' + name : 'hi ' + name;",
+        '    }',
+        '  }',
+        '</script>',
+      ].join('\n');
+
+      const testFile = path.join(fixturesDir, 'js-map-lines.au');
+      writeFileSync(testFile, sfc);
+
+      const { code, map } = await plugin.load(scriptRequest(testFile));
+      const consumer = new SourceMapConsumer(map);
+      const lines = code.split('\n');
+      const positionOf = (text) => {
+        const line = lines.findIndex((l) => l.includes(text));
+        return consumer.originalPositionFor({ line: line + 1, column: lines[line].indexOf(text) });
+      };
+
+      expect(positionOf("import { bindable }")).toMatchObject({ source: testFile, line: 4, column: 2 });
+      expect(positionOf('greet(name')).toMatchObject({ line: 11, column: 4 });
+      expect(positionOf("'hi '")).toMatchObject({ line: 12, column: 45 });
+    });
+
+    test('should not map generated code', async () => {
+      const testFile = path.join(fixturesDir, 'js-map-generated.au');
+      writeFileSync(testFile, '<template><div>Test</div></template>\n<script>export default class Test {}</script>');
+
+      const { code, map } = await plugin.load(scriptRequest(testFile));
+      const consumer = new SourceMapConsumer(map);
+      const lines = code.split('\n');
+      const line = lines.findIndex((l) => l.includes('const template ='));
+
+      expect(consumer.originalPositionFor({ line: line + 1, column: 0 }).source).toBeNull();
+    });
+  });
+
   describe('TypeScript Support', () => {
     test('should transpile TypeScript to JavaScript', async () => {
       const tsComponent = `
@@ -463,7 +1867,7 @@ describe('Aurelia SFC Vite Plugin', () => {
       const testFile = path.join(fixturesDir, 'typescript.au');
       writeFileSync(testFile, tsComponent);
 
-      const result = await plugin.load(`virtual:${testFile}`);
+      const { code: result } = await plugin.load(scriptRequest(testFile));
       expect(result).not.toContain('interface IUser');
       expect(result).toContain('getMessage()');
     });
@@ -483,7 +1887,7 @@ describe('Aurelia SFC Vite Plugin', () => {
       expect(existsSync(existingFile)).toBe(true);
       
       // Test the plugin can load existing files
-      const result = await plugin.load(`virtual:${existingFile}`);
+      const { code: result } = await plugin.load(scriptRequest(existingFile));
       expect(result).toBeTruthy();
     });
 
@@ -497,43 +1901,213 @@ describe('Aurelia SFC Vite Plugin', () => {
       writeFileSync(testFile, malformedSFC);
 
       // Should not throw, should handle gracefully
-      const result = await plugin.load(`virtual:${testFile}`);
+      const { code: result } = await plugin.load(scriptRequest(testFile));
       expect(result).toBeTruthy();
     });
 
-    test('should return null for non-virtual module IDs', async () => {
+    test('should return null for modules other than .au blocks', async () => {
       const result = await plugin.load('regular-file.js');
       expect(result).toBeNull();
     });
   });
 
   describe('Hot Module Replacement', () => {
-    test('should handle HMR for .au files', () => {
+    // Vite lists the component module and its style requests under the `.au` file
+    const createHmrContext = (file, content) => ({
+      file,
+      modules: [{ id: scriptRequest(file) }, { id: styleRequest(file) }],
+      read: async () => content,
+    });
+
+    test('should update the component module when its script or template changes', async () => {
       const testFile = path.join(fixturesDir, 'hmr-test.au');
-      const mockCtx = {
-        file: testFile,
-        modules: [{ id: testFile }],
-        server: {
-          reloadModule: jest.fn()
-        }
-      };
+      const sfc = `<template><div>Before</div></template>
+<script>export default class HmrTest {}</script>
+<style>.a { color: red; }</style>`;
+      writeFileSync(testFile, sfc);
+      await plugin.load(scriptRequest(testFile));
+
+      const result = await plugin.handleHotUpdate(
+        createHmrContext(testFile, sfc.replace('Before', 'After'))
+      );
+      expect(result.map(({ id }) => id)).toEqual([scriptRequest(testFile), styleRequest(testFile)]);
+    });
 
-      const result = plugin.handleHotUpdate(mockCtx);
-      expect(result).toEqual(mockCtx.modules);
-      expect(mockCtx.server.reloadModule).toHaveBeenCalled();
+    test('should update only the stylesheet when just styles change', async () => {
+      const testFile = path.join(fixturesDir, 'hmr-style.au');
+      const sfc = `<template><div>Styled</div></template>
+<script>export default class HmrStyle {}</script>
+<style scoped>.a { color: red; }</style>`;
+      writeFileSync(testFile, sfc);
+      await plugin.load(scriptRequest(testFile));
+
+      const result = await plugin.handleHotUpdate(
+        createHmrContext(testFile, sfc.replace('red', 'blue'))
+      );
+      expect(result.map(({ id }) => id)).toEqual([`${testFile}?aurelia-sfc&type=style&index=0&lang.css`]);
     });
 
-    test('should ignore HMR for non-.au files', () => {
+    test('should update the component module when style attributes change', async () => {
+      const testFile = path.join(fixturesDir, 'hmr-module-style.au');
+      const sfc = `<template><div>Styled</div></template>
+<script>export default class HmrModuleStyle {}</script>
+<style>.a { color: red; }</style>`;
+      writeFileSync(testFile, sfc);
+      await plugin.load(scriptRequest(testFile));
+
+      const scoped = await plugin.handleHotUpdate(
+        createHmrContext(testFile, sfc.replace('<style>', '<style scoped>'))
+      );
+      expect(scoped.map(({ id }) => id)).toContain(scriptRequest(testFile));
+    });
+
+    test('should leave CSS module edits to propagate from the style request', async () => {
+      const testFile = path.join(fixturesDir, 'hmr-css-module.au');
+      const sfc = `<template><div>Styled</div></template>
+<script>export default class HmrCssModule {}</script>
+<style module>.a { color: red; }</style>`;
+      writeFileSync(testFile, sfc);
+      await plugin.load(scriptRequest(testFile));
+
+      // Vite carries the update on to the component, as CSS modules do not accept themselves
+      const result = await plugin.handleHotUpdate(
+        createHmrContext(testFile, sfc.replace('red', 'blue'))
+      );
+      expect(result.map(({ id }) => id)).toEqual([`${testFile}?aurelia-sfc&type=style&index=0&lang.css`]);
+    });
+
+    test('should ignore HMR for non-.au files', async () => {
       const mockCtx = {
         file: '/path/to/regular.js',
         modules: []
       };
 
-      const result = plugin.handleHotUpdate(mockCtx);
+      const result = await plugin.handleHotUpdate(mockCtx);
       expect(result).toBeUndefined();
     });
   });
 
+  describe('Component HMR', () => {
+    const sfc = `
+      <template><div>\${count}</div></template>
+      <script>export default class Counter { count = 0; }</script>
+    `;
+
+    test('should make components accept their own updates on the dev server', async () => {
+      plugin.configResolved({ command: 'serve' });
+      const testFile = path.join(fixturesDir, 'hmr-counter.au');
+      writeFileSync(testFile, sfc);
+
+      const { code } = await plugin.load(scriptRequest(testFile));
+      expect(code).toContain("from 'virtual:aurelia-sfc-hmr'");
+      expect(code).toContain('import.meta.hot.accept();');
+      expect(code).toContain('__auAcceptComponent(import.meta.hot, Counter);');
+    });
+
+    test('should leave HMR code out of builds and SSR', async () => {
+      const testFile = path.join(fixturesDir, 'hmr-build.au');
+      writeFileSync(testFile, sfc);
+
+      plugin.configResolved({ command: 'build' });
+      const { code: built } = await plugin.load(scriptRequest(testFile));
+      expect(built).not.toContain('import.meta.hot');
+
+      plugin.configResolved({ command: 'serve' });
+      const { code: rendered } = await plugin.load(scriptRequest(testFile), { ssr: true });
+      expect(rendered).not.toContain('import.meta.hot');
+    });
+
+    test('should serve the HMR runtime', async () => {
+      expect(await plugin.resolveId('virtual:aurelia-sfc-hmr')).toBe('\0virtual:aurelia-sfc-hmr');
+      const runtime = await plugin.load('\0virtual:aurelia-sfc-hmr');
+      expect(runtime).toContain('export function acceptComponent(hot, Type)');
+    });
+
+    test('should re-render live instances in place, keeping their state', async () => {
+      const runtimeFile = path.join(fixturesDir, 'hmr-runtime.mjs');
+      writeFileSync(runtimeFile, await plugin.load('\0virtual:aurelia-sfc-hmr'));
+      const { acceptComponent } = await import(runtimeFile);
+
+      const { JSDOM } = await import('jsdom');
+      const { DI, Registration } = await import('@aurelia/kernel');
+      const { Aurelia, IPlatform, StandardConfiguration } = await import('@aurelia/runtime-html');
+      const { BrowserPlatform } = await import('@aurelia/platform-browser');
+
+      const hot = {
+        data: {},
+        disposers: [],
+        dispose(callback) { this.disposers.push(callback); },
+        invalidate: jest.fn(),
+        update() { this.disposers.splice(0).forEach((callback) => callback(this.data)); },
+      };
+      const defineCounter = (template) => {
+        const Counter = CustomElement.define(
+          { name: 'hmr-counter', template, bindables: ['label'] },
+          class { count = 0; }
+        );
+        acceptComponent(hot, Counter);
+        return Counter;
+      };
+      const Counter = defineCounter('<p>${label}: ${count}</p>');
+      const App = CustomElement.define(
+        { name: 'hmr-app', template: '<hmr-counter label.bind="label"></hmr-counter>' },
+        class { label = 'Clicks'; }
+      );
+
+      const { window } = new JSDOM('<div id="app"></div>');
+      const platform = new BrowserPlatform(window);
+      const container = DI.createContainer().register(
+        StandardConfiguration,
+        Registration.instance(IPlatform, platform),
+        Counter
+      );
+      const host = window.document.getElementById('app');
+      const au = new Aurelia(container).app({ host, component: App });
+      await au.start();
+
+      const counter = CustomElement.for(host.querySelector('hmr-counter')).viewModel;
+      counter.count = 3;
+      hot.update();
+      const UpdatedCounter = defineCounter('<b>${label} = ${count}</b>');
+      await new Promise((resolve) => setTimeout(resolve, 20));
+
+      expect(hot.invalidate).not.toHaveBeenCalled();
+      expect(host.querySelector('hmr-counter').innerHTML).toBe('<b>Clicks = 3</b>');
+      expect(counter).toBeInstanceOf(UpdatedCounter);
+      expect(CustomElement.find(container, 'hmr-counter').Type).toBe(UpdatedCounter);
+
+      CustomElement.for(host).viewModel.label = 'Taps';
+      await new Promise((resolve) => setTimeout(resolve, 20));
+      expect(host.querySelector('hmr-counter').innerHTML).toBe('<b>Taps = 3</b>');
+
+      await au.stop(true);
+    });
+
+    test('should pass updates on when controller internals are missing', async () => {
+      const runtimeFile = path.join(fixturesDir, 'hmr-runtime.mjs');
+      writeFileSync(runtimeFile, await plugin.load('\0virtual:aurelia-sfc-hmr'));
+      const { acceptComponent } = await import(runtimeFile);
+
+      const Widget = CustomElement.define({ name: 'hmr-widget', template: '<p></p>' }, class {});
+      const controller = {
+        isActive: true,
+        definition: CustomElement.getDefinition(Widget),
+        container: { res: {} },
+        deactivate: jest.fn(),
+      };
+      const hot = {
+        data: { controllers: [controller] },
+        dispose() {},
+        invalidate: jest.fn(),
+      };
+      acceptComponent(hot, Widget);
+      await new Promise((resolve) => setTimeout(resolve, 0));
+
+      expect(hot.invalidate).toHaveBeenCalled();
+      expect(controller.deactivate).not.toHaveBeenCalled();
+    });
+  });
+
   describe('Caching', () => {
     test('should cache processed results', async () => {
       const sfc = `
@@ -546,12 +2120,239 @@ describe('Aurelia SFC Vite Plugin', () => {
       writeFileSync(testFile, sfc);
 
       // First load
-      const result1 = await plugin.load(`virtual:${testFile}`);
+      const result1 = await plugin.load(scriptRequest(testFile));
       expect(result1).toBeTruthy();
 
       // Second load should use cache (same result)
-      const result2 = await plugin.load(`virtual:${testFile}`);
-      expect(result2).toBe(result1);
+      const result2 = await plugin.load(scriptRequest(testFile));
+      expect(result2.code).toBe(result1.code);
+    });
+
+    const createCountingPlugin = (options = {}) => {
+      const compileStyle = jest.fn((css) => css);
+      const [countingPlugin] = aureliaSingleFileComponent({
+        style: { preprocessors: { custom: compileStyle } },
+        customBlocks: { counter: () => null },
+        ...options,
+      });
+      // Custom block handlers run on every load, so count the distinct component modules instead
+      const compiledScripts = new Set();
+      const { load } = countingPlugin;
+      countingPlugin.load = async function (id, ...args) {
+        const result = await load.call(this, id, ...args);
+        if (id.includes('type=script')) compiledScripts.add(result);
+        return result;
+      };
+      return { countingPlugin, compileStyle, compiledScripts };
+    };
+    const countedSfc = `
+      <template><div>Counted</div></template>
+      <script>export default class Counted {}</script>
+      <style lang="custom">.counted { color: red; }</style>
+      <counter></counter>
+    `;
+
+    test('should keep a separate cache per plugin instance', async () => {
+      const testFile = path.join(fixturesDir, 'per-instance.au');
+      writeFileSync(testFile, countedSfc);
+      const [red] = aureliaSingleFileComponent({ style: { preprocessors: { custom: (css) => css } } });
+      const [blue] = aureliaSingleFileComponent({
+        style: { preprocessors: { custom: (css) => css.replace('red', 'blue') } },
+      });
+
+      expect((await red.load(styleRequest(testFile))).code).toContain('color: red');
+      expect((await blue.load(styleRequest(testFile))).code).toContain('color: blue');
+    });
+
+    test('should rebuild only the output whose blocks changed', async () => {
+      const { countingPlugin, compileStyle, compiledScripts } = createCountingPlugin();
+      const testFile = path.join(fixturesDir, 'per-block.au');
+      writeFileSync(testFile, countedSfc);
+      await countingPlugin.load(scriptRequest(testFile));
+      await countingPlugin.load(styleRequest(testFile));
+
+      const restyled = countedSfc.replace('red', 'blue');
+      writeFileSync(testFile, restyled);
+      await countingPlugin.load(scriptRequest(testFile));
+      await countingPlugin.load(styleRequest(testFile));
+      expect(compiledScripts.size).toBe(1);
+      expect(compileStyle).toHaveBeenCalledTimes(2);
+
+      writeFileSync(testFile, restyled.replace('Counted</div>', 'Recounted</div>'));
+      await countingPlugin.load(scriptRequest(testFile));
+      await countingPlugin.load(styleRequest(testFile));
+      expect(compiledScripts.size).toBe(2);
+      expect(compileStyle).toHaveBeenCalledTimes(2);
+    });
+
+    test('should evict the entries an HMR edit affects', async () => {
+      const { countingPlugin, compileStyle, compiledScripts } = createCountingPlugin();
+      const testFile = path.join(fixturesDir, 'hmr-evict.au');
+      const otherFile = path.join(fixturesDir, 'hmr-other.au');
+      writeFileSync(testFile, countedSfc);
+      writeFileSync(otherFile, countedSfc);
+      const loadAll = async () => {
+        for (const file of [testFile, otherFile]) {
+          await countingPlugin.load(scriptRequest(file));
+          await countingPlugin.load(styleRequest(file));
+        }
+      };
+      await loadAll();
+      const hmrContext = (content) => ({
+        file: testFile,
+        modules: [{ id: styleRequest(testFile) }],
+        read: async () => content,
+      });
+
+      // A style-only edit evicts the stylesheet and keeps the component module
+      await countingPlugin.handleHotUpdate(hmrContext(countedSfc.replace('red', 'blue')));
+      await loadAll();
+      expect(compiledScripts.size).toBe(2);
+      expect(compileStyle).toHaveBeenCalledTimes(3);
+
+      await countingPlugin.handleHotUpdate(hmrContext(countedSfc.replace('Counted</div>', 'Recounted</div>')));
+      await loadAll();
+      expect(compiledScripts.size).toBe(3);
+      expect(compileStyle).toHaveBeenCalledTimes(4);
+    });
+
+    test('should evict components when an external block file changes', async () => {
+      const { countingPlugin, compileStyle } = createCountingPlugin();
+      const testFile = path.join(fixturesDir, 'external-evict.au');
+      const styleFile = path.join(fixturesDir, 'external-evict.custom');
+      writeFileSync(styleFile, '.counted { color: red; }');
+      writeFileSync(testFile, countedSfc.replace(
+        '<style lang="custom">.counted { color: red; }</style>',
+        '<style src="./external-evict.custom" lang="custom"></style>'
+      ));
+      const externalRequest = `${styleFile}?aurelia-sfc&type=style&index=0&src&preprocessor=custom&lang.css`;
+      expect((await countingPlugin.load(scriptRequest(testFile))).code).toContain(`import '${externalRequest}';`);
+      await countingPlugin.load(externalRequest);
+      await countingPlugin.load(externalRequest);
+      expect(compileStyle).toHaveBeenCalledTimes(1);
+
+      expect(await countingPlugin.handleHotUpdate({ file: styleFile, modules: [] })).toBeUndefined();
+      await countingPlugin.load(externalRequest);
+      expect(compileStyle).toHaveBeenCalledTimes(2);
+    });
+
+    test('should hold at most cacheSize entries', async () => {
+      const { countingPlugin, compileStyle } = createCountingPlugin({ cacheSize: 1 });
+      const firstFile = path.join(fixturesDir, 'size-first.au');
+      const secondFile = path.join(fixturesDir, 'size-second.au');
+      writeFileSync(firstFile, countedSfc);
+      writeFileSync(secondFile, countedSfc);
+
+      await countingPlugin.load(styleRequest(firstFile));
+      await countingPlugin.load(styleRequest(firstFile));
+      await countingPlugin.load(styleRequest(secondFile));
+      await countingPlugin.load(styleRequest(firstFile));
+      expect(compileStyle).toHaveBeenCalledTimes(3);
+    });
+  });
+
+  describe('Persistent Cache', () => {
+    const sfc = `
+      <template><div>Persisted</div></template>
+      <script>export default class Persisted {}</script>
+      <style lang="custom">.persisted { color: red; }</style>
+    `;
+    const createPlugin = (options = {}) => {
+      const compileStyle = jest.fn((css) => css);
+      const [cachingPlugin] = aureliaSingleFileComponent({
+        style: { preprocessors: { custom: compileStyle } },
+        ...options,
+      });
+      cachingPlugin.configResolved({ command: 'serve', root: fixturesDir, cacheDir: 'vite-cache' });
+      return { cachingPlugin, compileStyle };
+    };
+    const cacheDir = () => path.join(fixturesDir, 'vite-cache', 'aurelia-sfc');
+
+    test('should reuse compiled output after a restart', async () => {
+      const testFile = path.join(fixturesDir, 'persisted.au');
+      writeFileSync(testFile, sfc);
+
+      const first = createPlugin();
+      const { code: script } = await first.cachingPlugin.load(scriptRequest(testFile));
+      const { code: css } = await first.cachingPlugin.load(styleRequest(testFile));
+      expect(readdirSync(cacheDir())).toHaveLength(2);
+
+      const restarted = createPlugin();
+      expect((await restarted.cachingPlugin.load(scriptRequest(testFile))).code).toBe(script);
+      expect((await restarted.cachingPlugin.load(styleRequest(testFile))).code).toBe(css);
+      expect(restarted.compileStyle).not.toHaveBeenCalled();
+    });
+
+    test('should run custom block handlers again after a restart', async () => {
+      const testFile = path.join(fixturesDir, 'persisted-blocks.au');
+      writeFileSync(testFile, `${sfc}<docs>Persisted docs</docs>`);
+      const docsIndex = new Map();
+      const customBlocks = {
+        docs: ({ content, componentName }) => {
+          docsIndex.set(componentName, content);
+        },
+      };
+
+      const { code } = await createPlugin({ customBlocks }).cachingPlugin.load(scriptRequest(testFile));
+      docsIndex.clear();
+
+      const restarted = createPlugin({ customBlocks });
+      expect((await restarted.cachingPlugin.load(scriptRequest(testFile))).code).toBe(code);
+      expect(docsIndex.get('persisted')).toBe('Persisted docs');
+    });
+
+    test('should recompile when custom block output changes', async () => {
+      const testFile = path.join(fixturesDir, 'persisted-output.au');
+      writeFileSync(testFile, `${sfc}<version></version>`);
+      let version = 1;
+      const customBlocks = { version: () => `export const version = ${version};` };
+
+      await createPlugin({ customBlocks }).cachingPlugin.load(scriptRequest(testFile));
+      version = 2;
+      const { code } = await createPlugin({ customBlocks }).cachingPlugin.load(scriptRequest(testFile));
+      expect(code).toContain('version = 2');
+    });
+
+    test('should not reuse output compiled with other options', async () => {
+      const testFile = path.join(fixturesDir, 'persisted-options.au');
+      writeFileSync(testFile, sfc);
+
+      await createPlugin().cachingPlugin.load(scriptRequest(testFile));
+      const { code } = await createPlugin({ definition: 'static' }).cachingPlugin.load(scriptRequest(testFile));
+      expect(code).toContain('static $au');
+    });
+
+    test('should write nothing with cache: false', async () => {
+      const testFile = path.join(fixturesDir, 'not-persisted.au');
+      writeFileSync(testFile, sfc);
+
+      await createPlugin({ cache: false }).cachingPlugin.load(styleRequest(testFile));
+      expect(existsSync(cacheDir())).toBe(false);
+    });
+
+    test('should use a custom directory', async () => {
+      const testFile = path.join(fixturesDir, 'persisted-dir.au');
+      writeFileSync(testFile, sfc);
+
+      await createPlugin({ cache: { dir: 'custom-cache' } }).cachingPlugin.load(styleRequest(testFile));
+      expect(readdirSync(path.join(fixturesDir, 'custom-cache'))).toHaveLength(1);
+    });
+
+    test('should prune entries unused for longer than maxAge', () => {
+      mkdirSync(cacheDir(), { recursive: true });
+      const staleFile = path.join(cacheDir(), 'stale.json');
+      const freshFile = path.join(cacheDir(), 'fresh.json');
+      writeFileSync(staleFile, '{}');
+      writeFileSync(freshFile, '{}');
+      const lastWeek = new Date(Date.now() - 8 * 24 * 60 * 60 * 1000);
+      utimesSync(staleFile, lastWeek, lastWeek);
+
+      createPlugin();
+      expect(existsSync(staleFile)).toBe(false);
+      expect(existsSync(freshFile)).toBe(true);
+
+      createPlugin({ cache: { maxAge: 0 } });
+      expect(existsSync(freshFile)).toBe(false);
     });
   });
 
@@ -569,7 +2370,7 @@ describe('Aurelia SFC Vite Plugin', () => {
 
   describe('CSS Preprocessor Support', () => {
     test('should handle custom CSS preprocessors', async () => {
-      const customPlugin = aureliaSingleFileComponent({
+      const [customPlugin] = aureliaSingleFileComponent({
         style: {
           preprocessors: {
             'custom': (css) => css.replace(/\$primary/g, '#007bff')
@@ -588,7 +2389,7 @@ describe('Aurelia SFC Vite Plugin', () => {
       const testFile = path.join(fixturesDir, 'custom-css.au');
       writeFileSync(testFile, sfcCustomCSS);
 
-      const result = await customPlugin.load(`virtual:${testFile}.css`);
+      const { code: result } = await customPlugin.load(styleRequest(testFile));
       expect(result).toContain('color: #007bff');
       expect(result).not.toContain('$primary');
     });
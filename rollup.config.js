@@ -11,10 +11,17 @@ export default {
   external: [
     "fs",
     "path",
+    "url",
     "crypto",
+    "jsdom",
+    "@aurelia/kernel",
+    "@aurelia/platform-browser",
+    "@aurelia/runtime-html",
+    "@aurelia/template-compiler",
     "typescript",
     "node-html-parser",
-    "sass",
-    "stylus"
+    "postcss",
+    "postcss-selector-parser",
+    "source-map-js"
   ]
 };
@@ -1,10 +1,23 @@
 import ts from 'typescript';
-import { existsSync, readFileSync, statSync } from 'fs';
+import {
+  existsSync,
+  mkdirSync,
+  readdirSync,
+  readFileSync,
+  renameSync,
+  rmSync,
+  statSync,
+  utimesSync,
+  writeFileSync,
+} from 'fs';
+import { createRequire } from 'module';
 import path from 'path';
+import { fileURLToPath } from 'url';
 import { createHash } from 'crypto';
 import { parse } from 'node-html-parser';
-import sass from 'sass';
-import stylus from 'stylus';
+import postcss from 'postcss';
+import selectorParser from 'postcss-selector-parser';
+import { SourceMapConsumer, SourceMapGenerator } from 'source-map-js';
 
 class LRUCache {
   constructor(maxSize = 100) {
@@ -38,487 +51,2180 @@ class LRUCache {
     return this.cache.has(key);
   }
 
+  delete(key) {
+    return this.cache.delete(key);
+  }
+
+  entries() {
+    return this.cache.entries();
+  }
+
   clear() {
     this.cache.clear();
   }
 }
 
-const cache = new LRUCache(200);
-const fileTimeCache = new Map();
+function createLogger(pluginName) {
+  return {
+    error: (msg, ...args) => console.error(`[${pluginName}] ${msg}`, ...args),
+    warn: (msg, ...args) => console.warn(`[${pluginName}] ${msg}`, ...args),
+    info: (msg, ...args) => console.info(`[${pluginName}] ${msg}`, ...args),
+  };
+}
+
+const logger = createLogger('vite-plugin-aurelia-sfc');
+
+const PLUGIN_VERSION = JSON.parse(
+  readFileSync(new URL('../package.json', import.meta.url), 'utf-8')
+).version;
+
+/**
+ * Compiled outputs kept on disk between dev server runs. Entries are named
+ * after a hash of everything they were built from, so they never go stale;
+ * those left unused for `maxAge` milliseconds are pruned instead.
+ */
+class DiskCache {
+  constructor(dir, maxAge = 7 * 24 * 60 * 60 * 1000) {
+    this.dir = dir;
+    this.maxAge = maxAge;
+  }
+
+  get(key) {
+    const file = this.fileFor(key);
+    try {
+      const value = JSON.parse(readFileSync(file, 'utf-8'));
+      // Reading an entry counts as using it
+      const now = new Date();
+      utimesSync(file, now, now);
+      return value;
+    } catch {
+      return undefined;
+    }
+  }
+
+  set(key, value) {
+    const file = this.fileFor(key);
+    // Written aside and renamed, so concurrent servers never read half an entry
+    const temporaryFile = `${file}.${process.pid}.tmp`;
+    try {
+      mkdirSync(this.dir, { recursive: true });
+      writeFileSync(temporaryFile, JSON.stringify(value));
+      renameSync(temporaryFile, file);
+    } catch (error) {
+      logger.warn(`Failed to write to the compile cache in ${this.dir}: ${error.message}`);
+    }
+  }
+
+  prune() {
+    const expiry = Date.now() - this.maxAge;
+    let files;
+    try {
+      files = readdirSync(this.dir);
+    } catch {
+      return;
+    }
+    for (const name of files) {
+      const file = path.join(this.dir, name);
+      try {
+        if (statSync(file).mtimeMs < expiry) rmSync(file, { force: true });
+      } catch {
+        // Removed by another server in the meantime
+      }
+    }
+  }
+
+  fileFor(key) {
+    return path.join(this.dir, `${key}.json`);
+  }
+}
+
+// Version of an installed package, read from the package.json above its entry point
+function getPackageVersion(name) {
+  try {
+    let dir = path.dirname(createRequire(import.meta.url).resolve(name));
+    for (; dir !== path.dirname(dir); dir = path.dirname(dir)) {
+      const file = path.join(dir, 'package.json');
+      if (!existsSync(file)) continue;
+      const pkg = JSON.parse(readFileSync(file, 'utf-8'));
+      if (pkg.name === name) return pkg.version;
+    }
+  } catch {
+    // Not installed
+  }
+  return null;
+}
+
+/**
+ * Hashes the options that shape compiled output, along with the versions of
+ * the plugin and TypeScript, and of Aurelia's template compiler when templates
+ * are precompiled. Functions, such as preprocessors and custom block handlers,
+ * count by their source.
+ */
+function hashOptions(options) {
+  const relevant = Object.fromEntries(Object.entries(options).filter(
+    ([name]) => !['include', 'exclude', 'cache', 'cacheSize'].includes(name)
+  ));
+  const seen = new WeakSet();
+  const json = JSON.stringify(relevant, (_key, value) => {
+    if (typeof value === 'function' || value instanceof RegExp) return String(value);
+    if (value && typeof value === 'object') {
+      if (seen.has(value)) return '[Seen]';
+      seen.add(value);
+    }
+    return value;
+  });
+  const compilerVersion = options.precompile ? getPackageVersion('@aurelia/template-compiler') : null;
+  return createHash('md5').update(`${PLUGIN_VERSION}|${ts.version}|${compilerVersion}|${json}`).digest('hex');
+}
+
+function generateScopeId(filePath) {
+  return (
+    'data-v-' + createHash('md5').update(filePath).digest('hex').slice(0, 8)
+  );
+}
+
+// Template elements carry the scope id itself, so the host gets its own marker
+function getHostScopeId(scopeId) {
+  return `${scopeId}-host`;
+}
+
+const KEYFRAMES_AT_RULE = /^(-\w+-)?keyframes$/i;
+const UNSCOPED_SELECTORS = ['html', 'body', '*', '::before', '::after'];
+const PIERCING_PSEUDOS = [':deep', '::v-deep', ':slotted'];
+
+function isInsideKeyframes(rule) {
+  for (let parent = rule.parent; parent; parent = parent.parent) {
+    if (parent.type === 'atrule' && KEYFRAMES_AT_RULE.test(parent.name)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+function createScopeAttribute(scopeId) {
+  return selectorParser.attribute({ attribute: scopeId, value: undefined, raws: {} });
+}
+
+function lastCompound(nodes) {
+  let start = nodes.length;
+  while (start > 0 && nodes[start - 1].type !== 'combinator') {
+    start--;
+  }
+  return nodes.slice(start);
+}
+
+function appendToCompound(selector, compound, node) {
+  // Additions must precede pseudo-elements to ever match
+  const pseudoElement = compound.find((child) => selectorParser.isPseudoElement(child));
+  if (pseudoElement) {
+    selector.insertBefore(pseudoElement, node);
+  } else {
+    selector.insertAfter(compound[compound.length - 1], node);
+  }
+}
+
+/**
+ * Rewrites `.a :deep(.b)` to `.a[scope] .b` and `:slotted(.b)` to
+ * `[scope] .b:not([scope])`, so only the part before the pseudo is scoped.
+ */
+function scopePiercingPseudo(selector, pseudo, scopeId) {
+  const index = selector.index(pseudo);
+  const before = selector.nodes.slice(0, index);
+  const combinator = before.length && before[before.length - 1].type === 'combinator'
+    ? before.pop()
+    : null;
+  const compound = lastCompound(before);
+
+  if (compound.length) {
+    appendToCompound(selector, compound, createScopeAttribute(scopeId));
+  } else {
+    const attribute = createScopeAttribute(scopeId);
+    attribute.spaces.before = pseudo.spaces.before;
+    selector.insertBefore(combinator || pseudo, attribute);
+  }
+
+  const inner = pseudo.nodes.length
+    ? pseudo.nodes[0].nodes.map((node) => node.clone())
+    : [];
+  if (inner.length) {
+    inner[0].spaces.before = '';
+  }
+
+  const replacement = combinator
+    ? inner
+    : [selectorParser.combinator({ value: ' ' }), ...inner];
+  pseudo.replaceWith(...replacement);
+
+  if (pseudo.value === ':slotted' && inner.length) {
+    const exclusion = selectorParser.pseudo({ value: ':not' });
+    exclusion.append(selectorParser.selector({ nodes: [createScopeAttribute(scopeId)] }));
+    appendToCompound(selector, lastCompound(inner), exclusion);
+  }
+}
+
+function scopeSelector(selector, scopeId) {
+  // Skip html, body, and other global selectors
+  if (UNSCOPED_SELECTORS.includes(selector.toString().trim())) {
+    return;
+  }
+
+  let isGlobal = false;
+  let hostNode = null;
+
+  selector.walkPseudos((pseudo) => {
+    // :global(...) unwraps its argument and opts the whole selector out of scoping
+    if (pseudo.value === ':global') {
+      isGlobal = true;
+      pseudo.replaceWith(selectorParser.string({
+        value: pseudo.nodes.map(String).join(',').trim(),
+      }));
+      return;
+    }
+
+    // :host and :host(<compound>) target the host element stamped at runtime
+    if (pseudo.value === ':host') {
+      const replacement = [createScopeAttribute(getHostScopeId(scopeId))];
+      if (pseudo.nodes.length) {
+        replacement.push(...pseudo.nodes[0].nodes.map((node) => node.clone()));
+      }
+      replacement[0].spaces.before = pseudo.spaces.before;
+      pseudo.replaceWith(...replacement);
+      hostNode = replacement[replacement.length - 1];
+      return;
+    }
+
+    // :host-context(<compound>) matches a host inside an ancestor matching <compound>
+    if (pseudo.value === ':host-context') {
+      const hostAttribute = createScopeAttribute(getHostScopeId(scopeId));
+      const replacement = [hostAttribute];
+      if (pseudo.nodes.length) {
+        replacement.unshift(
+          ...pseudo.nodes[0].nodes.map((node) => node.clone()),
+          selectorParser.combinator({ value: ' ' })
+        );
+      }
+      replacement[0].spaces.before = pseudo.spaces.before;
+      pseudo.replaceWith(...replacement);
+      hostNode = hostAttribute;
+    }
+  });
+
+  if (isGlobal) return;
+
+  const piercing = selector.nodes.find(
+    (node) => node.type === 'pseudo' && PIERCING_PSEUDOS.includes(node.value)
+  );
+  if (piercing) {
+    scopePiercingPseudo(selector, piercing, scopeId);
+    return;
+  }
+
+  const compound = lastCompound(selector.nodes);
+  if (!compound.length || (hostNode && compound.includes(hostNode))) {
+    return;
+  }
+
+  appendToCompound(selector, compound, createScopeAttribute(scopeId));
+}
+
+/**
+ * Generates code that stamps the host scope attribute onto every host element
+ * from the component's `created` hook, chaining any hook the class defines.
+ */
+function generateHostScopeCode(className, scopeId) {
+  const hostScopeId = getHostScopeId(scopeId);
+  return [
+    `const __auScopedCreated = ${className}.prototype.created;`,
+    `${className}.prototype.created = function(controller) {`,
+    '  const host = controller && controller.host;',
+    `  if (host && host.nodeType === 1) host.setAttribute('${hostScopeId}', '');`,
+    '  return __auScopedCreated ? __auScopedCreated.apply(this, arguments) : undefined;',
+    '};',
+  ].join('\n');
+}
+
+/**
+ * Reads the per-file shadow DOM mode from `<template shadow="open|closed">` or
+ * `<style shadow>`, returning null when the component renders in light DOM.
+ */
+function getShadowMode(root) {
+  const blocks = root.childNodes.filter(
+    (node) => node.tagName === 'TEMPLATE' || node.tagName === 'STYLE'
+  );
+  const shadowBlock = blocks.find((node) => node.hasAttribute('shadow'));
+  if (!shadowBlock) return null;
+
+  return shadowBlock.getAttribute('shadow') === 'closed' ? 'closed' : 'open';
+}
+
+/**
+ * Wraps the CSS of the shadow style blocks in a constructable stylesheet when
+ * the browser supports it, so every shadow root adopts the same sheet and HMR
+ * can replace its rules in place. Falls back to the plain string otherwise.
+ */
+function generateShadowStylesCode(count) {
+  const blocks = Array.from({ length: count }, (_, index) => `__auShadowCss${index}`);
+  return [
+    `const __auShadowCss = [${blocks.join(', ')}];`,
+    "const __auShadowStyles = typeof CSSStyleSheet === 'function' && 'replaceSync' in CSSStyleSheet.prototype",
+    '  ? new CSSStyleSheet()',
+    "  : __auShadowCss.join('\\n');",
+    "if (typeof __auShadowStyles !== 'string') __auShadowStyles.replaceSync(__auShadowCss.join('\\n'));",
+  ].join('\n');
+}
+
+function generateShadowStylesHmrCode(shadowCssIds) {
+  return [
+    "if (import.meta.hot && typeof __auShadowStyles !== 'string') {",
+    `  import.meta.hot.accept([${shadowCssIds.map((id) => `'${id}'`).join(', ')}], (modules) => {`,
+    '    modules.forEach((mod, index) => {',
+    '      if (mod) __auShadowCss[index] = mod.default;',
+    '    });',
+    "    __auShadowStyles.replaceSync(__auShadowCss.join('\\n'));",
+    '  });',
+    '}',
+  ].join('\n');
+}
+
+const HMR_RUNTIME_ID = 'virtual:aurelia-sfc-hmr';
+const RESOLVED_HMR_RUNTIME_ID = `\0${HMR_RUNTIME_ID}`;
+
+/**
+ * Browser-side half of component HMR, served as a virtual module during
+ * development. Live controllers are collected through the `created` hook.
+ * When the component module is replaced, each of them is deactivated, moved
+ * onto the new class and definition, re-rendered and activated again. The
+ * view model instance is kept, so its state and the bindings into it
+ * survive. Shadow DOM and containerless components can't be hydrated twice,
+ * so their updates are passed on to the importers instead. The same goes for
+ * Aurelia builds whose controller internals don't look the way this expects.
+ */
+const HMR_RUNTIME = `import { CustomElement, refs } from 'aurelia';
+
+// Moves a view model onto the latest class, keeping the instance and its state
+function upgrade(controller, Type, definition) {
+  const viewModel = controller.viewModel;
+  Object.setPrototypeOf(viewModel, Type.prototype);
+  controller.viewModel = viewModel;
+  controller.definition = definition;
+}
+
+function trackControllers(hot, Type, controllers) {
+  const { hydrating, created } = Type.prototype;
+  Type.prototype.hydrating = function (controller) {
+    // Templates compiled before an update still create the previous class
+    const latest = hot.data.component;
+    if (latest.Type !== Type) {
+      upgrade(controller, latest.Type, latest.definition);
+      return this.hydrating(controller);
+    }
+    return hydrating ? hydrating.apply(this, arguments) : undefined;
+  };
+  Type.prototype.created = function (controller) {
+    if (!controllers.includes(controller)) controllers.push(controller);
+    return created ? created.apply(this, arguments) : undefined;
+  };
+}
+
+// Internal names differ between the development and production builds
+function getHydrators(controller) {
+  return {
+    hydrate: controller._hydrate || controller.hS,
+    hydrateChildren: controller._hydrateChildren || controller.hC,
+  };
+}
+
+// Re-rendering relies on Aurelia internals, which may change between versions
+function hasInternals(controller) {
+  const { hydrate, hydrateChildren } = getHydrators(controller);
+  return typeof hydrate === 'function'
+    && typeof hydrateChildren === 'function'
+    && (controller.bindings == null || Array.isArray(controller.bindings))
+    && (controller.children == null || Array.isArray(controller.children))
+    && Array.isArray(controller.definition.watches)
+    && controller.container != null
+    && typeof controller.container.res === 'object';
+}
+
+function canRerender(controller, definition) {
+  return hasInternals(controller)
+    && controller.definition.name === definition.name
+    && controller.shadowRoot == null
+    && !definition.containerless
+    && definition.shadowOptions == null;
+}
+
+function registerDefinition(Type, definition, controllers) {
+  const containers = new Set();
+  for (const controller of controllers) {
+    for (let container = controller.container; container; container = container.parent) {
+      containers.add(container);
+    }
+  }
+  for (const container of containers) {
+    if (container.res && Object.prototype.hasOwnProperty.call(container.res, definition.key)) {
+      container.deregister(definition.key);
+      container.register(Type);
+    }
+  }
+}
+
+// The host stays, but its element controller is about to be hydrated again
+function releaseHost(controller) {
+  const host = controller.host;
+  const others = Object.entries(host.$au || {}).filter(([, owner]) => owner !== controller);
+  refs.clear(host);
+  others.forEach(([name, owner]) => refs.set(host, name, owner));
+}
+
+async function rerender(controller, Type, definition) {
+  const parent = controller.parent;
+  // Watchers are bound ahead of the view, and outlive it
+  const watchers = (controller.bindings || []).slice(0, controller.definition.watches.length);
+  const children = controller.children || [];
+
+  await controller.deactivate(controller, parent);
+  children.forEach((child) => child.dispose());
+
+  upgrade(controller, Type, definition);
+  controller.bindings = watchers.length ? watchers : null;
+  controller.children = null;
+  releaseHost(controller);
+
+  const { hydrate, hydrateChildren } = getHydrators(controller);
+  hydrate.call(controller);
+  hydrateChildren.call(controller);
+  await controller.activate(controller, parent);
+}
+
+async function reloadComponent(Type, definition, controllers) {
+  const live = controllers.filter((controller) => controller.isActive);
+  if (!live.every((controller) => canRerender(controller, definition))) {
+    return false;
+  }
+
+  registerDefinition(Type, definition, live);
+  await Promise.all(live.map((controller) => rerender(controller, Type, definition)));
+  return true;
+}
+
+export function acceptComponent(hot, Type) {
+  const previous = hot.data.controllers;
+  const controllers = [];
+  hot.data.component = { Type, definition: CustomElement.getDefinition(Type) };
+  trackControllers(hot, Type, controllers);
+  hot.dispose((data) => {
+    data.controllers = controllers.filter((controller) => controller.isActive);
+  });
+
+  if (previous) {
+    reloadComponent(Type, hot.data.component.definition, previous).then(
+      (reloaded) => reloaded || hot.invalidate(),
+      (error) => hot.invalidate(error.message)
+    );
+  }
+}
+`;
+
+/**
+ * Generates the development-only code that makes a component module accept
+ * its own updates. Vite looks for `import.meta.hot.accept(` in the module
+ * itself, so the call can't move into the runtime.
+ */
+function generateComponentHmrCode(className) {
+  return [
+    'if (import.meta.hot) {',
+    '  import.meta.hot.accept();',
+    `  __auAcceptComponent(import.meta.hot, ${className});`,
+    '}',
+  ].join('\n');
+}
+
+function scopeStyles(root, scopeId) {
+  try {
+    const processor = selectorParser((selectors) => {
+      selectors.each((selector) => scopeSelector(selector, scopeId));
+    });
+
+    root.walkRules((rule) => {
+      // Keyframe selectors (from, to, 50%) are not element selectors
+      if (isInsideKeyframes(rule)) return;
+      rule.selector = processor.processSync(rule.selector);
+    });
+  } catch (error) {
+    logger.warn(`Failed to scope CSS: ${error.message}`);
+  }
+}
+
+const DEFAULT_STYLE_MODULE = '$style';
+
+function normalizePreprocessorResult(result) {
+  if (typeof result === 'string') {
+    return { css: result, map: null };
+  }
+  return { css: result.css ?? result.code, map: result.map ?? null };
+}
+
+/**
+ * Runs a style block through its custom preprocessor from
+ * `style.preprocessors`. Resolves to `{ css, map }`, where `map` is the
+ * preprocessor's source map (or null when it has none).
+ */
+async function processCss(css, lang, styleOptions = {}) {
+  try {
+    return normalizePreprocessorResult(await styleOptions.preprocessors[lang](css, styleOptions));
+  } catch (error) {
+    logger.error(`CSS preprocessing failed for ${lang}: ${error.message}`);
+    throw new Error(`CSS preprocessing failed: ${error.message}`);
+  }
+}
+
+function hasCustomPreprocessor(lang, styleOptions = {}) {
+  return Boolean(styleOptions.preprocessors && typeof styleOptions.preprocessors[lang] === 'function');
+}
+
+/**
+ * Returns the raw, undecoded content of an SFC block and the offset in the
+ * `.au` source at which it starts.
+ */
+function getBlockContent(source, block) {
+  const text = block.childNodes[0];
+  if (!text || !text.range) return { content: '', offset: 0 };
+
+  const [start, end] = text.range;
+  return { content: source.slice(start, end), offset: start };
+}
+
+/**
+ * Returns the raw content of an SFC block, preceded by blank lines so that
+ * line numbers reported by preprocessors and PostCSS match the `.au` file.
+ */
+function getPaddedBlockContent(source, block) {
+  const { content, offset } = getBlockContent(source, block);
+  const lineOffset = source.slice(0, offset).split('\n').length - 1;
+  return '\n'.repeat(lineOffset) + content;
+}
+
+/**
+ * Rewrites source map sources to absolute paths and attaches the original
+ * `.au` file content, replacing the padded block content tools embed.
+ */
+function normalizeMapSources(map, filePath, source) {
+  const baseDir = path.dirname(filePath);
+  const sources = map.sources.map((file) => {
+    if (file.startsWith('file:')) return fileURLToPath(file);
+    return path.resolve(baseDir, map.sourceRoot || '', file);
+  });
+  const sourcesContent = sources.map((file, index) => (
+    file === filePath ? source : (map.sourcesContent && map.sourcesContent[index]) || null
+  ));
+
+  return { ...map, sourceRoot: undefined, sources, sourcesContent };
+}
+
+/**
+ * Exposes the class name maps of `<style module>` blocks on the component
+ * prototype, so templates can bind `class="${$style.card}"`. Blocks sharing
+ * a module name are merged.
+ */
+function generateStyleModulesCode(className, modules) {
+  const entries = Object.entries(modules).map(([name, identifiers]) => (
+    `'${name}': { ${identifiers.map((identifier) => `...${identifier}`).join(', ')} }`
+  ));
+  return [
+    `const __auStyleModules = { ${entries.join(', ')} };`,
+    `Object.assign(${className}.prototype, __auStyleModules);`,
+  ].join('\n');
+}
+
+const STYLE_LANGS = { '.scss': 'scss', '.sass': 'sass', '.styl': 'stylus', '.stylus': 'stylus', '.less': 'less' };
+// Languages Vite's CSS plugin compiles
+const VITE_STYLE_LANGS = ['css', 'less', 'sass', 'scss', 'styl', 'stylus', 'pcss', 'postcss', 'sss'];
+
+function getStyleLang(file) {
+  return STYLE_LANGS[path.extname(file)] || null;
+}
+
+/**
+ * Describes the `<style>` blocks of an SFC: the language each is written in,
+ * the one Vite compiles it as, and whether it is scoped or a CSS module.
+ * Blocks with a custom preprocessor reach Vite as plain CSS.
+ */
+function getStyleBlocks(root, filePath, styleOptions, externalSources = new Map()) {
+  const shadowMode = getShadowMode(root);
+  const scopeHash = generateScopeId(filePath).slice('data-v-'.length);
+
+  return root.querySelectorAll('style').map((styleTag, index) => {
+    const external = externalSources.get(styleTag) || null;
+    const lang = styleTag.getAttribute('lang') || (external && getStyleLang(external.file)) || 'css';
+    const viteLang = !hasCustomPreprocessor(lang, styleOptions) && VITE_STYLE_LANGS.includes(lang) ? lang : 'css';
+    const module = styleTag.hasAttribute('module')
+      ? styleTag.getAttribute('module') || DEFAULT_STYLE_MODULE
+      : null;
+
+    return {
+      tag: styleTag,
+      index,
+      external,
+      lang,
+      viteLang,
+      module,
+      // Shadow roots isolate styles natively, so scoping is skipped
+      scoped: !shadowMode && styleTag.rawAttrs.includes('scoped') ? scopeHash : null,
+    };
+  });
+}
+
+/**
+ * Builds the id of the component module of a `.au` file, such as
+ * `/src/card.au?aurelia-sfc&type=script`. Ids stay on the real file, so Vite
+ * lists them, and the style requests below, among the modules of that file.
+ */
+function getScriptRequest(filePath) {
+  return `${filePath}?aurelia-sfc&type=script`;
+}
+
+/**
+ * Builds the id under which a style block is requested from Vite, such as
+ * `/src/card.au?aurelia-sfc&type=style&index=0&scoped=1a2b3c4d&lang.scss`. The
+ * trailing `lang.*` makes Vite's CSS plugin compile it, `.module` makes it a
+ * CSS module, and `inline` returns the CSS as a string.
+ *
+ * A block with a `src` is requested on the file it points to, flagged with
+ * `src`, so Vite resolves its imports and maps it like any stylesheet there.
+ * That request names the custom preprocessor it needs, if any.
+ */
+function getStyleRequest(filePath, block, { inline = false, module = false } = {}) {
+  const query = ['aurelia-sfc', 'type=style', `index=${block.index}`];
+  if (block.external) {
+    query.push('src');
+    if (block.viteLang !== block.lang) query.push(`preprocessor=${encodeURIComponent(block.lang)}`);
+  }
+  if (block.scoped) query.push(`scoped=${block.scoped}`);
+  if (inline) query.push('inline');
+  query.push(`lang${module ? '.module' : ''}.${block.viteLang}`);
+  return `${block.external ? block.external.file : filePath}?${query.join('&')}`;
+}
+
+function parseSfcRequest(id) {
+  const [filePath, query] = id.split('?');
+  if (!query) return null;
+
+  const params = new URLSearchParams(query);
+  if (!params.has('aurelia-sfc')) return null;
+  return {
+    filePath,
+    type: params.get('type'),
+    index: Number(params.get('index')),
+    scoped: params.get('scoped'),
+    inline: params.has('inline'),
+    // Set on stylesheets that `<style src>` blocks point to
+    src: params.has('src'),
+    preprocessor: params.get('preprocessor'),
+  };
+}
+
+/**
+ * Loads the source of one style block for Vite's CSS pipeline. Blocks are
+ * padded to their position in the `.au` file so reported lines match it;
+ * external stylesheets are returned as they are.
+ */
+async function loadStyleBlock(filePath, source, block, styleOptions) {
+  const { external, tag, lang } = block;
+  const blockFile = external ? external.file : filePath;
+  const blockSource = external ? external.content : source;
+  const content = external ? external.content : getPaddedBlockContent(source, tag);
+
+  if (!hasCustomPreprocessor(lang, styleOptions)) {
+    return { code: content, map: null };
+  }
+
+  const { css, map } = await processCss(content, lang, styleOptions);
+  return { code: css, map: map ? normalizeMapSources(map, blockFile, blockSource) : null };
+}
+
+/**
+ * Scopes the CSS Vite compiled from a `scoped` style block. Runs after Vite's
+ * CSS plugin, so preprocessors and PostCSS see the block as written.
+ */
+function scopeCompiledStyles(css, filePath, scopeId) {
+  const cssRoot = postcss.parse(css, { from: filePath });
+  scopeStyles(cssRoot, scopeId);
+  const result = cssRoot.toResult({
+    to: filePath,
+    map: { inline: false, annotation: false, sourcesContent: false },
+  });
+  return { code: result.css, map: result.map.toJSON() };
+}
+
+// Vite drops the class names of inline CSS modules, so they're added back under this export
+const STYLE_MODULE_LOCALS = '__auLocals';
+
+/**
+ * Imports each style block through Vite's CSS pipeline. Light DOM blocks are
+ * added to the document; shadow DOM blocks are imported as strings for the
+ * component's own stylesheet. CSS modules also import their class names.
+ */
+function generateStyleImportsCode(filePath, blocks, shadowMode) {
+  const imports = [];
+  const modules = {};
+  const shadowCssIds = [];
+
+  for (const block of blocks) {
+    const identifier = `__auStyleModule${block.index}`;
+    if (shadowMode) {
+      const id = getStyleRequest(filePath, block, { inline: true, module: Boolean(block.module) });
+      const locals = block.module ? `, { ${STYLE_MODULE_LOCALS} as ${identifier} }` : '';
+      imports.push(`import __auShadowCss${block.index}${locals} from '${id}';`);
+      shadowCssIds.push(id);
+    } else if (block.module) {
+      imports.push(`import ${identifier} from '${getStyleRequest(filePath, block, { module: true })}';`);
+    } else {
+      imports.push(`import '${getStyleRequest(filePath, block)}';`);
+    }
+    if (block.module) {
+      modules[block.module] = [...(modules[block.module] || []), identifier];
+    }
+  }
+
+  return { imports, modules: Object.keys(modules).length ? modules : null, shadowCssIds };
+}
+
+const SFC_BLOCKS = ['TEMPLATE', 'SCRIPT', 'STYLE'];
+
+/**
+ * Runs the `customBlocks` handler registered for each top-level block that
+ * isn't a template, script or style, and returns the code they generate, in
+ * file order. Blocks without a handler are reported and skipped.
+ */
+async function processCustomBlocks(root, source, filePath, handlers, component) {
+  const blocks = root.childNodes.filter((node) => node.nodeType === 1 && !SFC_BLOCKS.includes(node.tagName));
+
+  const results = await Promise.all(blocks.map(async (block) => {
+    const tag = block.rawTagName.toLowerCase();
+    const handler = handlers[tag];
+    if (!handler) {
+      logger.warn(`Unknown <${tag}> block in ${filePath}, register a customBlocks handler to process it`);
+      return null;
+    }
+
+    try {
+      return await handler({
+        content: getBlockContent(source, block).content,
+        attributes: block.attributes,
+        filePath,
+        ...component,
+      });
+    } catch (error) {
+      throw new Error(`Custom block <${tag}> failed: ${error.message}`);
+    }
+  }));
+
+  return results.filter(Boolean);
+}
+
+/**
+ * Reads the files that top-level blocks reference with a `src` attribute,
+ * resolved relative to the `.au` file.
+ */
+function readExternalSources(root, filePath) {
+  const sources = new Map();
+  for (const block of root.childNodes) {
+    if (block.nodeType !== 1 || !SFC_BLOCKS.includes(block.tagName) || !block.hasAttribute('src')) continue;
+
+    const src = block.getAttribute('src');
+    const file = path.resolve(path.dirname(filePath), src);
+    if (!existsSync(file)) {
+      throw new Error(`Cannot find ${src} referenced by <${block.rawTagName.toLowerCase()}> in ${filePath}`);
+    }
+    sources.set(block, { file, content: readFileSync(file, 'utf-8') });
+  }
+  return sources;
+}
+
+// Rebuild the component when a file it pulls in through `src` changes
+function watchExternalSources(context, externalSources) {
+  if (!context || typeof context.addWatchFile !== 'function') return;
+  for (const { file } of externalSources.values()) {
+    context.addWatchFile(file);
+  }
+}
+
+// Content of an inline block, or of the file its `src` points to
+function getBlockSource(source, block, filePath, externalSources) {
+  const external = externalSources.get(block);
+  if (external) {
+    return { content: external.content, offset: 0, file: external.file, source: external.content };
+  }
+  return { ...getBlockContent(source, block), file: filePath, source };
+}
+
+function getTemplateSource(template, externalSources) {
+  const external = externalSources.get(template);
+  if (!external) {
+    return { content: template.innerHTML.trim(), bindable: template.getAttribute('bindable') };
+  }
+
+  // HTML files often wrap their markup in a <template> of their own
+  const elements = parseHTML(external.content).childNodes.filter((node) => node.nodeType === 1);
+  const wrapper = elements.length === 1 && elements[0].tagName === 'TEMPLATE' ? elements[0] : null;
+  return {
+    content: (wrapper ? wrapper.innerHTML : external.content).trim(),
+    bindable: template.getAttribute('bindable') || (wrapper && wrapper.getAttribute('bindable')),
+  };
+}
+
+/**
+ * Hashes each top-level block of a `.au` file, tag and attributes included.
+ * Blocks loaded through `src` hash the external file instead of their body.
+ */
+function getBlockHashes(root, source, externalSources = new Map()) {
+  return root.childNodes.filter((node) => node.nodeType === 1).map((node) => {
+    const signature = `<${node.rawTagName} ${node.rawAttrs}>`;
+    const external = externalSources.get(node);
+    const content = external
+      ? `${signature}${external.file}|${external.content}`
+      : source.slice(node.range[0], node.range[1]);
+    return {
+      tag: node.tagName,
+      signature,
+      hash: createHash('md5').update(content).digest('hex'),
+    };
+  });
+}
+
+/**
+ * Combines block hashes into the hash of the component module. Style blocks
+ * are compiled as requests of their own, so only their attributes count.
+ */
+function hashBlocks(blocks, extra = '') {
+  const parts = blocks.map((block) => (block.tag === 'STYLE' ? block.signature : block.hash));
+  return createHash('md5').update(`${parts.join('|')}|${extra}`).digest('hex');
+}
+
+function validateSFCStructure(root, filePath) {
+  const isModuleScript = (node) => node.getAttribute('context') === 'module' || node.hasAttribute('setup');
+  const scriptTags = root.querySelectorAll('script').filter((node) => !isModuleScript(node));
+  const moduleScriptTags = root.querySelectorAll('script').filter(isModuleScript);
+  // Nested <template> elements are template controllers, not SFC blocks
+  const templateTags = root.childNodes.filter((node) => node.tagName === 'TEMPLATE');
+  
+  if (scriptTags.length > 1) {
+    logger.warn(`Multiple <script> tags found in ${filePath}, using the first one`);
+  }
+
+  if (moduleScriptTags.length > 1) {
+    logger.warn(`Multiple module <script> tags found in ${filePath}, using the first one`);
+  }
+  
+  if (templateTags.length === 0) {
+    throw new Error(`Missing <template> section in ${filePath}`);
+  }
+  
+  // The main template is the first one not declaring a local element
+  const template = templateTags.find((node) => !node.hasAttribute('as-custom-element')) || templateTags[0];
+  const localTemplates = templateTags.filter((node) => node !== template);
+  if (localTemplates.some((node) => !node.hasAttribute('as-custom-element'))) {
+    logger.warn(`Multiple <template> tags found in ${filePath}, using the first one`);
+  }
+
+  return {
+    // Template-only components have no script
+    script: scriptTags[0] || null,
+    moduleScript: moduleScriptTags[0] || null,
+    template,
+    localTemplates: localTemplates.filter((node) => node.hasAttribute('as-custom-element')),
+    styles: root.querySelectorAll('style'),
+  };
+}
+
+const RESOURCE_DECORATORS = [
+  'customElement', 'customAttribute', 'templateController', 'valueConverter', 'bindingBehavior',
+];
+
+/**
+ * Analyzes a `<script context="module">` block. Its code stays at module
+ * scope, and top-level classes declared as Aurelia resources, by decorator or
+ * a static `$au`, are returned so they can be registered as dependencies.
+ */
+function analyzeModuleScript(script, scriptOffset, filePath, blockFile = filePath) {
+  const sourceFile = parseScript(script, filePath);
+  const resources = sourceFile.statements
+    .filter((node) => ts.isClassDeclaration(node) && node.name && isResourceClass(node))
+    .map((node) => node.name.text);
+  return { ...hoistImports(sourceFile, scriptOffset, blockFile), resources };
+}
+
+function isResourceClass(node) {
+  return RESOURCE_DECORATORS.some((name) => getDecoratorCall(node, name)) || node.members.some((member) => (
+    ts.isPropertyDeclaration(member) &&
+    hasModifier(member, ts.SyntaxKind.StaticKeyword) &&
+    getPropertyName(member) === '$au'
+  ));
+}
+
+function hasModifier(node, kind) {
+  return Boolean(node.modifiers && node.modifiers.some((modifier) => modifier.kind === kind));
+}
+
+function getDecoratorCall(node, name) {
+  const decorators = ts.canHaveDecorators(node) ? ts.getDecorators(node) || [] : [];
+  for (const decorator of decorators) {
+    const expression = decorator.expression;
+    if (
+      ts.isCallExpression(expression) &&
+      ts.isIdentifier(expression.expression) &&
+      expression.expression.text === name
+    ) {
+      return expression;
+    }
+  }
+  return null;
+}
+
+function getStringValue(node) {
+  return node && (ts.isStringLiteral(node) || ts.isNoSubstitutionTemplateLiteral(node))
+    ? node.text.trim()
+    : null;
+}
+
+function getPropertyName(property) {
+  const name = property.name;
+  return name && (ts.isIdentifier(name) || ts.isStringLiteral(name)) ? name.text : null;
+}
+
+function getImportedNames(declaration) {
+  const clause = declaration.importClause;
+  if (!clause || clause.isTypeOnly) return [];
+
+  const names = clause.name ? [clause.name.text] : [];
+  const bindings = clause.namedBindings;
+  if (bindings && ts.isNamespaceImport(bindings)) {
+    names.push(bindings.name.text);
+  } else if (bindings) {
+    names.push(...bindings.elements.filter((element) => !element.isTypeOnly).map((element) => element.name.text));
+  }
+  return names;
+}
+
+/**
+ * Finds a definition the author already wrote for the component, either the
+ * argument of `@customElement(...)` or a `static $au = ...` initializer, and
+ * describes where generated options can be merged into it.
+ */
+function findExistingDefinition(classNode, sourceFile, scriptOffset) {
+  const call = getDecoratorCall(classNode, 'customElement');
+  const staticAu = call ? null : classNode.members.find((member) => (
+    ts.isPropertyDeclaration(member) &&
+    hasModifier(member, ts.SyntaxKind.StaticKeyword) &&
+    getPropertyName(member) === '$au' &&
+    member.initializer
+  ));
+  if (!call && !staticAu) return null;
+
+  const node = call ? call.arguments[0] : staticAu.initializer;
+  if (!node) {
+    // `@customElement()`
+    return { kind: 'empty', start: scriptOffset + call.arguments.pos };
+  }
+
+  const start = scriptOffset + node.getStart(sourceFile);
+  const end = scriptOffset + node.end;
+  const name = getStringValue(node);
+  if (name !== null) {
+    return { kind: 'string', start, end, name };
+  }
+  if (!ts.isObjectLiteralExpression(node)) {
+    return { kind: 'expression', start, end, name: null };
+  }
+
+  const properties = {};
+  for (const property of node.properties) {
+    const key = getPropertyName(property);
+    if (key) properties[key] = property;
+  }
+  // Generated lists can be appended to these, given a value to spread
+  const lists = {};
+  for (const key of ['dependencies', 'bindables']) {
+    const property = properties[key];
+    const value = property && (property.initializer || (ts.isShorthandPropertyAssignment(property) && property.name));
+    if (value) {
+      lists[key] = {
+        start: scriptOffset + value.getStart(sourceFile),
+        end: scriptOffset + value.end,
+        // `{ dependencies }` names the value instead of assigning it
+        shorthand: ts.isShorthandPropertyAssignment(property),
+        // Bindables may also be a record, so Aurelia turns them into a list first
+        normalize: key === 'bindables' && !ts.isArrayLiteralExpression(value),
+      };
+    }
+  }
+  return {
+    kind: 'object',
+    start,
+    end,
+    empty: node.properties.length === 0,
+    keys: Object.keys(properties),
+    name: properties.name && ts.isPropertyAssignment(properties.name)
+      ? getStringValue(properties.name.initializer)
+      : null,
+    lists,
+  };
+}
+
+function formatDefinitionEntries(options) {
+  return Object.entries(options)
+    .map(([key, value]) => {
+      if (Array.isArray(value)) return `${key}: [${value.join(', ')}]`;
+      return key === value ? key : `${key}: ${value}`;
+    })
+    .join(', ');
+}
+
+function formatDefinition(options) {
+  return `{ ${formatDefinitionEntries(options)} }`;
+}
+
+/**
+ * Returns the insertions that merge generated definition options into one the
+ * author wrote. Options the author set explicitly win, except `dependencies`
+ * and `bindables`, which are concatenated.
+ */
+function mergeDefinition(existing, options) {
+  if (existing.kind === 'empty') {
+    return [{ offset: existing.start, code: formatDefinition(options) }];
+  }
+  if (existing.kind === 'string') {
+    const rest = Object.fromEntries(Object.entries(options).filter(([key]) => key !== 'name'));
+    return [
+      { offset: existing.start, code: '{ name: ' },
+      { offset: existing.end, code: `, ${formatDefinitionEntries(rest)} }` },
+    ];
+  }
+  if (existing.kind === 'expression') {
+    return [
+      { offset: existing.start, code: `{ ${formatDefinitionEntries(options)}, ...(` },
+      { offset: existing.end, code: ') }' },
+    ];
+  }
+
+  const added = Object.fromEntries(
+    Object.entries(options).filter(([key]) => !existing.keys.includes(key))
+  );
+  const insertions = [];
+  if (Object.keys(added).length) {
+    insertions.push({
+      offset: existing.start + 1,
+      code: ` ${formatDefinitionEntries(added)}${existing.empty ? ' ' : ','}`,
+    });
+  }
+  for (const key of ['dependencies', 'bindables']) {
+    if (options[key] && existing.keys.includes(key) && !existing.lists[key]) {
+      logger.warn(`Could not add the generated ${key} to the existing definition of ${existing.name || 'a component'}`);
+    }
+  }
+  for (const [key, list] of Object.entries(existing.lists)) {
+    if (!options[key]) continue;
+    const spread = list.normalize ? '...Object.values(Bindable.from(' : '...';
+    insertions.push(
+      { offset: list.start, code: `${list.shorthand ? `${key}: ` : ''}[${spread}` },
+      { offset: list.end, code: `${list.normalize ? '))' : ''}, ${options[key].join(', ')}]` }
+    );
+  }
+  return insertions;
+}
+
+function parseScript(script, filePath) {
+  return ts.createSourceFile(filePath, script, ts.ScriptTarget.Latest, true, ts.ScriptKind.TS);
+}
+
+/**
+ * Splits a parsed script block into top-level import declarations, which are
+ * hoisted, and the remaining body. Offsets are positions in the `.au` source,
+ * so the assembled module can be mapped back.
+ */
+function hoistImports(sourceFile, scriptOffset, file) {
+  const script = sourceFile.text;
+  const imports = [];
+  const importedNames = [];
+  const body = [];
+  let bodyStart = 0;
+
+  for (const statement of sourceFile.statements) {
+    if (!ts.isImportDeclaration(statement)) continue;
+    importedNames.push(...getImportedNames(statement));
+
+    // Keep comments on the same line (e.g. `import './polyfill'; // side effect`)
+    const start = statement.getStart(sourceFile);
+    const trailingComments = ts.getTrailingCommentRanges(script, statement.end) || [];
+    const end = trailingComments.length ? trailingComments[trailingComments.length - 1].end : statement.end;
+    const code = script.slice(start, end);
+
+    if (!imports.some((entry) => entry.code === code)) {
+      imports.push({ code, offset: scriptOffset + start, file });
+    }
+    body.push({ code: script.slice(bodyStart, start), offset: scriptOffset + bodyStart, file });
+    bodyStart = end;
+  }
+  body.push({ code: script.slice(bodyStart), offset: scriptOffset + bodyStart, file });
+
+  return { imports, importedNames, body: body.filter((segment) => segment.code.trim()) };
+}
+
+/**
+ * Analyzes the component script: hoists its imports and locates the component
+ * class, where the `@customElement` decorator is inserted, and any element
+ * name it declares.
+ */
+function analyzeScript(script, scriptOffset = 0, filePath = 'component.ts', blockFile = filePath) {
+  const sourceFile = parseScript(script, filePath);
+  const { imports, importedNames, body } = hoistImports(sourceFile, scriptOffset, blockFile);
+
+  const componentClass = findComponentClass(sourceFile, filePath);
+  const className = componentClass.name
+    ? componentClass.name.text
+    : pascalCase(path.basename(filePath, path.extname(filePath)));
+  const modifiers = (componentClass.modifiers || []).filter((modifier) => !ts.isDecorator(modifier));
+  const classKeyword = componentClass.getChildren(sourceFile).find(
+    (child) => child.kind === ts.SyntaxKind.ClassKeyword
+  );
+
+  const definition = findExistingDefinition(componentClass, sourceFile, scriptOffset);
+
+  return {
+    imports,
+    importedNames,
+    body,
+    className,
+    definition,
+    elementName: definition ? definition.name : null,
+    // Decorators go before `export`, after any decorators the author wrote
+    decoratorOffset: scriptOffset + (modifiers.length ? modifiers[0] : classKeyword).getStart(sourceFile),
+    // Just inside the class body, where a static definition can be added
+    membersOffset: scriptOffset + componentClass.members.pos,
+    // Anonymous classes get a name so generated code can refer to them
+    classNameOffset: componentClass.name ? null : scriptOffset + classKeyword.end,
+  };
+}
+
+/**
+ * Finds the class a script block exports as its component, in order of
+ * preference: `export default class`, a class exported as default by name
+ * (`export default X` or `export { X as default }`), then a named export,
+ * favouring the one named after the file.
+ */
+function findComponentClass(sourceFile, filePath) {
+  const classes = sourceFile.statements.filter(ts.isClassDeclaration);
+  const byName = (name) => classes.find((node) => node.name && node.name.text === name);
+  const exportedNames = [];
+  let defaultName = null;
+
+  for (const statement of sourceFile.statements) {
+    if (ts.isExportAssignment(statement) && !statement.isExportEquals && ts.isIdentifier(statement.expression)) {
+      defaultName = statement.expression.text;
+    } else if (
+      ts.isExportDeclaration(statement) &&
+      !statement.moduleSpecifier &&
+      statement.exportClause &&
+      ts.isNamedExports(statement.exportClause)
+    ) {
+      for (const specifier of statement.exportClause.elements) {
+        const localName = (specifier.propertyName || specifier.name).text;
+        if (specifier.name.text === 'default') {
+          defaultName = localName;
+        } else {
+          exportedNames.push(localName);
+        }
+      }
+    }
+  }
+
+  const defaultClass = classes.find((node) => (
+    hasModifier(node, ts.SyntaxKind.ExportKeyword) && hasModifier(node, ts.SyntaxKind.DefaultKeyword)
+  )) || (defaultName && byName(defaultName));
+  if (defaultClass) return defaultClass;
+
+  const namedClasses = classes.filter((node) => node.name && (
+    hasModifier(node, ts.SyntaxKind.ExportKeyword) || exportedNames.includes(node.name.text)
+  ));
+  const fileClassName = pascalCase(path.basename(filePath, path.extname(filePath)));
+  const namedClass = namedClasses.find((node) => node.name.text === fileClassName) || namedClasses[0];
+  if (namedClass) return namedClass;
+
+  throw new Error(
+    `No component class found in ${filePath}. ` +
+    'Export a class from the <script> block, e.g. `export default class MyElement {}`.'
+  );
+}
+
+function kebabCase(str) {
+  return str
+    .replace(/([a-z0-9])([A-Z])/g, '$1-$2')
+    .replace(/([A-Z])([A-Z][a-z])/g, '$1-$2')
+    .toLowerCase();
+}
+
+function camelCase(str) {
+  return str.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+}
+
+function pascalCase(str) {
+  const name = str
+    .split(/[^a-zA-Z0-9]+/)
+    .filter(Boolean)
+    .map((part) => part[0].toUpperCase() + part.slice(1))
+    .join('');
+  return /^[0-9]/.test(name) ? `_${name}` : name || 'Component';
+}
+
+function escapeTemplate(template) {
+  return template
+    .replace(/\\/g, '\\\\')
+    .replace(/`/g, '\\`')
+    .replace(/\$\{/g, '\\${');
+  // Note: We escape ${} so they're treated as Aurelia binding expressions, not JS template literals
+}
+
+// Elements that never render as styled DOM nodes of their own
+const UNSCOPED_ELEMENTS = [
+  'html', 'head', 'body', 'meta', 'title', 'link', 'script', 'style',
+  'template', 'let', 'slot', 'au-slot', 'import', 'require', 'bindable',
+];
+
+function scopeElements(nodes, scopeId) {
+  for (const node of nodes) {
+    if (node.nodeType !== 1 || !node.tagName) continue;
+
+    if (!UNSCOPED_ELEMENTS.includes(node.tagName.toLowerCase())) {
+      node.setAttribute(scopeId, '');
+    }
+
+    // Template controllers, slot fallbacks and content projected into child
+    // custom elements are all authored here, so their descendants are scoped too
+    scopeElements(node.childNodes, scopeId);
+  }
+}
+
+function injectScopeAttribute(templateStr, scopeId) {
+  try {
+    const root = parseHTML(templateStr);
+    scopeElements(root.childNodes, scopeId);
+    return closeDeclarationElements(root.toString());
+  } catch (error) {
+    logger.warn(`Failed to inject scope attribute: ${error.message}`);
+    return templateStr;
+  }
+}
+
+const HTML_VOID_TAGS = [
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr',
+];
+const STYLE_IMPORT_EXTENSIONS = /\.(css|scss|sass|less|styl)$/;
+
+const DECLARATION_ELEMENTS = ['import', 'require', 'bindable'];
+
+// Declaration elements are usually left unclosed, like void elements. Custom
+// blocks hold raw text, like scripts and styles.
+function parseHTML(html, textBlocks = []) {
+  return parse(html, {
+    voidTag: { tags: [...HTML_VOID_TAGS, ...DECLARATION_ELEMENTS] },
+    blockTextElements: Object.fromEntries(
+      ['script', 'noscript', 'style', 'pre', ...textBlocks].map((tag) => [tag, true])
+    ),
+  });
+}
+
+/**
+ * Adds the closing tags serializing drops from the declaration elements left
+ * in a template, those of inline local elements. Browsers would otherwise
+ * nest the markup that follows inside them.
+ */
+function closeDeclarationElements(html) {
+  const elements = parseHTML(html).querySelectorAll(DECLARATION_ELEMENTS.join(', '));
+  let result = html;
+  for (const element of [...elements].reverse()) {
+    const closingTag = `</${element.rawTagName}>`;
+    if (!result.slice(element.range[1]).toLowerCase().startsWith(closingTag.toLowerCase())) {
+      result = result.slice(0, element.range[1]) + closingTag + result.slice(element.range[1]);
+    }
+  }
+  return result;
+}
+
+/**
+ * Lifts declaration elements out of a template: `<import from="...">` and
+ * `<require from="...">`, where `as="alias"` renames the module's main
+ * resource and `name.as="alias"` the resource called `name`, and
+ * `<bindable name="..." mode="..." attribute="...">`. Names listed in the
+ * `bindable` attribute of the `<template>` itself are passed separately.
+ * Inline `<template as-custom-element>` elements keep their own declarations.
+ */
+function extractTemplateDeclarations(templateStr, filePath, templateBindables) {
+  const root = parseHTML(templateStr);
+  const isInLocalElement = (element) => {
+    for (let parent = element.parentNode; parent && parent !== root; parent = parent.parentNode) {
+      if (parent.tagName === 'TEMPLATE' && parent.hasAttribute('as-custom-element')) return true;
+    }
+    return false;
+  };
+  const elements = root.querySelectorAll(DECLARATION_ELEMENTS.join(', '))
+    .filter((element) => !isInLocalElement(element));
+  const imports = [];
+  const bindables = (templateBindables || '')
+    .split(',')
+    .map((name) => name.trim())
+    .filter(Boolean)
+    .map((name) => ({ name }));
+
+  for (const element of elements) {
+    if (element.tagName === 'BINDABLE') {
+      const { name, mode, attribute } = element.attributes;
+      if (!name) {
+        throw new Error(`<bindable> without a "name" attribute in ${filePath}`);
+      }
+      bindables.push({ name, mode: mode ? camelCase(mode) : null, attribute: attribute || null });
+      continue;
+    }
+
+    const { from, as: alias, ...attributes } = element.attributes;
+    if (!from) {
+      throw new Error(`<${element.rawTagName}> without a "from" attribute in ${filePath}`);
+    }
+
+    const aliases = {};
+    for (const [name, value] of Object.entries(attributes)) {
+      if (name.endsWith('.as')) aliases[name.slice(0, -3)] = value;
+    }
+    imports.push({ from: resolveTemplateImport(from, filePath), alias: alias || null, aliases });
+  }
+
+  // Declaration elements parse as void, so their closing tags are dropped separately
+  let template = templateStr;
+  for (const element of [...elements].reverse()) {
+    const rest = template.slice(element.range[1])
+      .replace(new RegExp(`^\\s*</${element.rawTagName}\\s*>`, 'i'), '');
+    template = template.slice(0, element.range[0]) + rest;
+  }
+  if (elements.length) {
+    template = template.trim();
+  }
+
+  return { template: closeDeclarationElements(template), imports, bindables };
+}
+
+// Bindables are listed by name, or described when they set a mode or attribute
+function formatBindables(bindables) {
+  return bindables.map(({ name, mode, attribute }) => {
+    const options = [`name: '${name}'`];
+    if (mode) options.push(`mode: '${mode}'`);
+    if (attribute) options.push(`attribute: '${attribute}'`);
+    return options.length > 1 ? `{ ${options.join(', ')} }` : `'${name}'`;
+  });
+}
+
+// `<import from="./child">` refers to a sibling `child.au` when one exists
+function resolveTemplateImport(from, filePath) {
+  if (!from.startsWith('.') || path.extname(from)) return from;
+  return existsSync(path.resolve(path.dirname(filePath), `${from}.au`)) ? `${from}.au` : from;
+}
+
+/**
+ * Generates the ES imports for template imports, and the expressions that
+ * register them as component dependencies.
+ */
+function generateTemplateImportsCode(templateImports, prefix = '__auDependency') {
+  const imports = [];
+  const dependencies = [];
+
+  templateImports.forEach(({ from, alias, aliases }, index) => {
+    if (STYLE_IMPORT_EXTENSIONS.test(from)) {
+      imports.push(`import '${from}';`);
+      return;
+    }
+
+    const name = `${prefix}${index}`;
+    imports.push(`import * as ${name} from '${from}';`);
+    const aliasEntries = Object.entries(aliases).map(([resource, value]) => `'${resource}': '${value}'`);
+    dependencies.push(alias || aliasEntries.length
+      ? `__auAliasedResources(${name}, ${alias ? `'${alias}'` : 'null'}, { ${aliasEntries.join(', ')} })`
+      : name);
+  });
+
+  if (dependencies.some((dependency) => dependency.startsWith('__auAliasedResources'))) {
+    imports.unshift("import { aliasedResourcesRegistry as __auAliasedResources } from '@aurelia/kernel';");
+  }
+  return { imports, dependencies };
+}
+
+/**
+ * Defines the extra `<template as-custom-element="name">` blocks of a file as
+ * local elements. Returns their imports, declarations and the identifiers to
+ * register as dependencies of the main component.
+ */
+function generateLocalElementsCode(localTemplates, filePath, scopeId, externalSources = new Map()) {
+  const imports = [];
+  const declarations = [];
+  const elements = [];
+
+  localTemplates.forEach((localTemplate, index) => {
+    const name = localTemplate.getAttribute('as-custom-element');
 
-function createLogger(pluginName) {
-  return {
-    error: (msg, ...args) => console.error(`[${pluginName}] ${msg}`, ...args),
-    warn: (msg, ...args) => console.warn(`[${pluginName}] ${msg}`, ...args),
-    info: (msg, ...args) => console.info(`[${pluginName}] ${msg}`, ...args),
-  };
-}
+    const templateSource = getTemplateSource(localTemplate, externalSources);
+    const { template, imports: templateImports, bindables } = extractTemplateDeclarations(
+      templateSource.content,
+      filePath,
+      templateSource.bindable
+    );
+    const markup = scopeId ? injectScopeAttribute(template, scopeId) : template;
+    const importsCode = generateTemplateImportsCode(templateImports, `__auLocalDependency${index}_`);
+    const options = { name: `'${name}'`, template: `\`${escapeTemplate(markup)}\`` };
+    if (bindables.length) options.bindables = formatBindables(bindables);
+    if (importsCode.dependencies.length) options.dependencies = importsCode.dependencies;
 
-const logger = createLogger('vite-plugin-aurelia-sfc');
+    const identifier = `__auLocalElement${index}`;
+    imports.push(...importsCode.imports);
+    declarations.push(
+      `const ${identifier} = CustomElement.define(${formatDefinition(options)}, class ${pascalCase(name)} {});`
+    );
+    elements.push(identifier);
+  });
 
-function generateScopeId(filePath) {
-  return (
-    'data-v-' + createHash('md5').update(filePath).digest('hex').slice(0, 8)
-  );
+  return { imports, declarations, elements };
 }
 
-function scopeStyles(css, scopeId) {
-  try {
-    return css.replace(/([^{}@]*?)\s*{/g, (match, selector) => {
-      // Skip at-rules entirely
-      if (selector.includes('@')) return match;
-      
-      const selectors = selector.split(',').map((s) => s.trim());
-      const scoped = selectors
-        .map((s) => {
-          // Handle empty selectors
-          if (!s) return s;
-          
-          // Handle :global() pseudo-selector
-          if (s.includes(':global(')) {
-            return s.replace(/:global\(([^)]+)\)/g, '$1');
-          }
-          
-          // Handle :host selector
-          if (s.startsWith(':host')) {
-            return s.replace(':host', `[${scopeId}]`);
-          }
-          
-          // Skip html, body, and other global selectors
-          if (['html', 'body', '*', '::before', '::after'].includes(s.trim())) {
-            return s;
-          }
-          
-          // Handle keyframe selectors and other special cases
-          if (s.includes('%') || /^\d+%$/.test(s.trim()) || s === 'from' || s === 'to') {
-            return s;
-          }
-          
-          // Add scope attribute to regular selectors
-          return `${s}[${scopeId}]`;
-        })
-        .join(', ');
-      
-      return `${scoped} {`;
-    });
-  } catch (error) {
-    logger.warn(`Failed to scope CSS: ${error.message}`);
-    return css;
+/**
+ * Assembles generated code from chunks that are either copied verbatim from
+ * the `.au` source, with the offset they start at, or synthesized by the
+ * plugin. Positions in the result can be traced back to the original file.
+ */
+class MappedCode {
+  constructor(source, file) {
+    this.file = file;
+    this.sources = new Map([[file, source]]);
+    this.code = '';
+    this.chunks = [];
   }
-}
 
-async function processCss(css, lang, styleOptions = {}) {
-  try {
-    // Custom preprocessor support
-    if (
-      styleOptions.preprocessors &&
-      typeof styleOptions.preprocessors[lang] === 'function'
-    ) {
-      return await styleOptions.preprocessors[lang](css, styleOptions);
+  // Blocks loaded through `src` map back to their own file
+  addSource(file, source) {
+    this.sources.set(file, source);
+    return this;
+  }
+
+  append(code, offset = null, file = this.file) {
+    if (offset !== null) {
+      this.chunks.push({ start: this.code.length, end: this.code.length + code.length, offset, file });
     }
+    this.code += code;
+    return this;
+  }
 
-    switch (lang) {
-    case 'scss':
-    case 'sass':
-      return sass.compileString(css, {
-        ...styleOptions,
-        sourceMap: true,
-        sourceMapIncludeSources: true,
-      }).css;
-      
-    case 'stylus':
-      return new Promise((resolve, reject) => {
-        const s = stylus(css);
-        if (styleOptions && typeof styleOptions === 'object') {
-          for (const [key, value] of Object.entries(styleOptions)) {
-            if (typeof s.set === 'function') {
-              s.set(key, value);
-            }
-          }
-        }
-        s.render((err, result) => {
-          if (err) reject(err);
-          else resolve(result);
-        });
-      });
-      
-    case 'less':
-      // Support for Less if added as dependency
-      if (styleOptions.lessEngine) {
-        return styleOptions.lessEngine.render(css, styleOptions);
-      }
-      return css;
-      
-    default:
-      return css;
+  appendLine(code = '', offset = null, file = this.file) {
+    return this.append(code, offset, file).append('\n');
+  }
+
+  // Appends source text, splicing generated code in at the given source offsets
+  appendSource(code, offset, insertions = [], file = this.file) {
+    let position = 0;
+    for (const insertion of insertions) {
+      const index = insertion.offset - offset;
+      if (index < position || index >= code.length) continue;
+      this.append(code.slice(position, index), offset + position, file).append(insertion.code);
+      position = index;
     }
-  } catch (error) {
-    logger.error(`CSS preprocessing failed for ${lang}: ${error.message}`);
-    throw new Error(`CSS preprocessing failed: ${error.message}`);
+    return this.append(code.slice(position), offset + position, file);
   }
-}
 
-function getCacheKey(filePath, options, code, fileStats) {
-  const optionsStr = JSON.stringify(options);
-  const statsStr = fileStats ? `${fileStats.mtime.getTime()}-${fileStats.size}` : '';
-  return createHash('md5')
-    .update(`${filePath}|${optionsStr}|${code}|${statsStr}`)
-    .digest('hex');
-}
+  toString() {
+    return this.code;
+  }
 
-function validateSFCStructure(root, filePath) {
-  const scriptTags = root.querySelectorAll('script');
-  const templateTags = root.querySelectorAll('template');
-  
-  if (scriptTags.length === 0) {
-    throw new Error(`Missing <script> section in ${filePath}`);
+  // Lines are 1-based and columns 0-based, as in source maps
+  originalPositionFor(line, column) {
+    const index = indexOfPosition(this.code, line, column);
+    const chunk = this.chunks.find((entry) => index >= entry.start && index < entry.end);
+    if (!chunk) return null;
+    return {
+      ...positionOfIndex(this.sources.get(chunk.file), chunk.offset + index - chunk.start),
+      source: chunk.file,
+    };
   }
-  
-  if (scriptTags.length > 1) {
-    logger.warn(`Multiple <script> tags found in ${filePath}, using the first one`);
+}
+
+function indexOfPosition(text, line, column) {
+  let index = 0;
+  for (let current = 1; current < line; current++) {
+    index = text.indexOf('\n', index) + 1;
+    if (index === 0) return -1;
   }
-  
-  if (templateTags.length === 0) {
-    throw new Error(`Missing <template> section in ${filePath}`);
+  return index + column;
+}
+
+function positionOfIndex(text, index) {
+  const before = text.slice(0, index);
+  const lineStart = before.lastIndexOf('\n') + 1;
+  return { line: before.split('\n').length, column: index - lineStart };
+}
+
+/**
+ * Composes the TypeScript output map, which points into the assembled
+ * module, with the chunk positions of that module in the `.au` file.
+ */
+function composeScriptMap(sourceMapText, mappedCode, filePath) {
+  const consumer = new SourceMapConsumer(JSON.parse(sourceMapText));
+  const generator = new SourceMapGenerator({ file: path.basename(filePath) });
+
+  consumer.eachMapping((mapping) => {
+    if (mapping.originalLine === null) return;
+    const original = mappedCode.originalPositionFor(mapping.originalLine, mapping.originalColumn);
+    if (!original) return;
+    generator.addMapping({
+      generated: { line: mapping.generatedLine, column: mapping.generatedColumn },
+      original: { line: original.line, column: original.column },
+      source: original.source,
+      name: mapping.name,
+    });
+  });
+  for (const [file, source] of mappedCode.sources) {
+    generator.setSourceContent(file, source);
   }
-  
-  if (templateTags.length > 1) {
-    logger.warn(`Multiple <template> tags found in ${filePath}, using the first one`);
+
+  return generator.toJSON();
+}
+
+/**
+ * Sets up Aurelia's template compiler in Node on top of a jsdom window. The
+ * compiler knows the standard resources plus any `precompile.dependencies`,
+ * and leaves resource references as names to be resolved at runtime.
+ */
+async function createTemplatePrecompiler(precompileOptions) {
+  let modules;
+  try {
+    modules = await Promise.all([
+      import('jsdom'),
+      import('@aurelia/kernel'),
+      import('@aurelia/runtime-html'),
+      import('@aurelia/platform-browser'),
+      import('@aurelia/template-compiler'),
+    ]);
+  } catch (error) {
+    throw new Error(
+      `Template precompilation requires jsdom and the @aurelia/kernel, @aurelia/runtime-html, @aurelia/platform-browser and @aurelia/template-compiler packages: ${error.message}`
+    );
   }
 
+  const [
+    { JSDOM },
+    { DI, Registration },
+    { CustomElement, IPlatform, StandardConfiguration },
+    { BrowserPlatform },
+    { ITemplateCompiler, TextBindingInstruction },
+  ] = modules;
+
+  const { window } = new JSDOM('');
+  const container = DI.createContainer();
+  container.register(
+    StandardConfiguration,
+    Registration.instance(IPlatform, new BrowserPlatform(window)),
+    ...(precompileOptions.dependencies || [])
+  );
+
+  const compiler = container.get(ITemplateCompiler);
+  compiler.resolveResources = false;
+
   return {
-    script: scriptTags[0],
-    template: templateTags[0],
-    styles: root.querySelectorAll('style'),
+    // Custom elements the compiler cannot see would be compiled as plain elements
+    findUnknownElements(templateStr) {
+      const names = parse(templateStr).querySelectorAll('*').map((node) => (
+        node.getAttribute('as-element') || node.tagName.toLowerCase()
+      ));
+      return [...new Set(names)].filter(
+        (name) => name.includes('-') && !CustomElement.find(container, name)
+      );
+    },
+
+    compile(name, templateStr) {
+      const definition = compiler.compile({ name, template: templateStr, needsCompile: true }, container);
+      separateTextNodes(definition, TextBindingInstruction);
+      return serializeCompiledDefinition(definition);
+    },
   };
 }
 
-function extractImportsAndContent(script) {
-  const imports = [];
-  const contentLines = [];
-  const lines = script.split('\n');
-  
-  let inMultiLineImport = false;
-  let currentImport = '';
-  
-  for (const line of lines) {
-    const trimmedLine = line.trim();
-    
-    // Handle multi-line imports
-    if (inMultiLineImport) {
-      currentImport += '\n' + line;
-      if (trimmedLine.includes(';') || trimmedLine.includes('from')) {
-        imports.push(currentImport.trim());
-        currentImport = '';
-        inMultiLineImport = false;
-      }
+const isRenderMarker = (node) => Boolean(node) && node.nodeType === 8 && node.nodeValue === 'au*';
+
+/**
+ * Each interpolation renders into a placeholder text node after a marker,
+ * which may be followed by static text. Parsed back from HTML, the two would
+ * merge into one node and the static text would be overwritten, so such text
+ * gets a marker and a literal text binding of its own. Nested definitions,
+ * such as those of template controllers, are handled as well.
+ */
+function separateTextNodes(definition, TextBindingInstruction) {
+  const { template, instructions } = definition;
+  const root = template.nodeName === 'TEMPLATE' ? template.content : template;
+  const document = template.ownerDocument;
+  // NodeFilter.SHOW_TEXT | NodeFilter.SHOW_COMMENT
+  const walker = document.createTreeWalker(root, 0x4 | 0x80);
+  let markers = 0;
+
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    if (isRenderMarker(node)) {
+      markers += 1;
       continue;
     }
-    
-    // Single line import
-    if (trimmedLine.startsWith('import ')) {
-      if (!trimmedLine.includes(';') && !trimmedLine.includes('from')) {
-        // Start of multi-line import
-        inMultiLineImport = true;
-        currentImport = line;
-      } else {
-        imports.push(line.trim());
-      }
-    } else {
-      contentLines.push(line);
+    const previous = node.previousSibling;
+    if (node.nodeType !== 3 || !previous || previous.nodeType !== 3 || !isRenderMarker(previous.previousSibling)) {
+      continue;
     }
+    // Rows line up with markers in document order
+    node.parentNode.insertBefore(document.createComment('au*'), node);
+    instructions.splice(markers, 0, [
+      new TextBindingInstruction({ $kind: 'PrimitiveLiteral', value: node.textContent }),
+    ]);
+    markers += 1;
+    node.textContent = ' ';
   }
-  
-  return {
-    imports: [...new Set(imports)], // Remove duplicates
-    classContent: contentLines.join('\n').trim(),
-  };
-}
 
-function extractElementName(script) {
-  // More robust pattern matching for element names
-  const patterns = [
-    /@customElement\s*\(\s*\{\s*name:\s*['"`]([^'"`]+)['"`]/,
-    /@customElement\s*\(\s*['"`]([^'"`]+)['"`]/,
-    // Handle template literals
-    /@customElement\s*\(\s*\{\s*name:\s*`([^`]+)`/,
-  ];
-  
-  for (const pattern of patterns) {
-    const match = script.match(pattern);
-    if (match) {
-      return match[1].trim();
+  for (const row of instructions) {
+    for (const instruction of row) {
+      for (const value of Object.values(instruction)) {
+        if (value && typeof value === 'object' && value.template && Array.isArray(value.instructions)) {
+          separateTextNodes(value, TextBindingInstruction);
+        }
+      }
     }
   }
-  
-  return null;
 }
 
-function extractClassName(script) {
-  const patterns = [
-    /export\s+default\s+class\s+(\w+)/,
-    /class\s+(\w+)[^{]*{/,
-    /export\s+class\s+(\w+)/,
-  ];
-  
-  for (const pattern of patterns) {
-    const match = script.match(pattern);
-    if (match) {
-      return match[1];
+/**
+ * Turns a compiled definition into source code. DOM nodes (the template and
+ * those of nested template controller definitions) become HTML strings, which
+ * Aurelia accepts in place of nodes.
+ */
+function serializeCompiledDefinition(definition) {
+  const replacer = (_key, value) => {
+    if (value && typeof value === 'object' && typeof value.nodeType === 'number') {
+      return value.nodeName === 'TEMPLATE' ? value.innerHTML : value.outerHTML;
     }
-  }
-  
-  return 'AnonymousComponent';
-}
-
-function kebabCase(str) {
-  return str
-    .replace(/([a-z0-9])([A-Z])/g, '$1-$2')
-    .replace(/([A-Z])([A-Z][a-z])/g, '$1-$2')
-    .toLowerCase();
-}
+    return value;
+  };
 
-function escapeTemplate(template) {
-  return template
-    .replace(/\\/g, '\\\\')
-    .replace(/`/g, '\\`')
-    .replace(/\$\{/g, '\\${');
-  // Note: We escape ${} so they're treated as Aurelia binding expressions, not JS template literals
+  return {
+    template: replacer('', definition.template),
+    instructions: JSON.stringify(definition.instructions, replacer),
+    surrogates: JSON.stringify(definition.surrogates || [], replacer),
+    hasSlots: Boolean(definition.hasSlots),
+  };
 }
 
-function injectScopeAttribute(templateStr, scopeId) {
-  try {
-    const root = parse(templateStr);
-    
-    // Apply scope to all top-level elements
-    root.childNodes.forEach((node) => {
-      if (node.nodeType === 1 && node.tagName) {
-        // Don't scope certain elements
-        const excludeTags = ['html', 'head', 'body', 'meta', 'title', 'link', 'script', 'style'];
-        if (!excludeTags.includes(node.tagName.toLowerCase())) {
-          node.setAttribute(scopeId, '');
-        }
-      }
-    });
-    
-    return root.toString();
-  } catch (error) {
-    logger.warn(`Failed to inject scope attribute: ${error.message}`);
-    return templateStr;
-  }
-}
+/**
+ * Tells whether two versions of a `.au` file differ only in the contents of
+ * their top-level `<style>` blocks.
+ */
+function isStyleOnlyChange(previous, next, textBlocks) {
+  const stripStyles = (source) => {
+    const styles = parseHTML(source, textBlocks).childNodes.filter((node) => node.tagName === 'STYLE');
+    if (!styles.length) return null;
+    return [...styles].reverse().reduce(
+      (code, style) => `${code.slice(0, style.range[0])}<style ${style.rawAttrs}>${code.slice(style.range[1])}`,
+      source
+    );
+  };
 
-function shouldRecompile(filePath, cacheKey) {
-  try {
-    if (!cache.has(cacheKey)) return true;
-    
-    const stats = statSync(filePath);
-    const cachedTime = fileTimeCache.get(filePath);
-    
-    if (!cachedTime || stats.mtime.getTime() > cachedTime) {
-      fileTimeCache.set(filePath, stats.mtime.getTime());
-      return true;
-    }
-    
-    return false;
-  } catch {
-    return true;
-  }
+  const stripped = stripStyles(previous);
+  return previous !== next && stripped !== null && stripped === stripStyles(next);
 }
 
 /** 
  * @param {Object} options - Plugin options.
- * @returns {import('vite').Plugin}
+ * @returns {import('vite').Plugin[]}
  */
 export default function aureliaSingleFileComponent(options = {}) {
   const pluginOptions = {
+    // Files compiled as components; `.au` files shipped in packages are included
     include: /\.au$/,
-    exclude: /node_modules/,
+    exclude: null,
     style: {},
+    precompile: false,
+    // 'decorator' adds @customElement, 'static' a static $au definition
+    definition: 'decorator',
+    // Handlers for custom blocks, by tag name
+    customBlocks: {},
+    // Compiled files kept in memory
+    cacheSize: 200,
+    // Persist compiled files in Vite's cache directory, or { dir, maxAge }
+    cache: true,
     ...options,
   };
 
-  return {
+  // Built-in languages are compiled by Vite, configured through css.preprocessorOptions
+  const styleOptionNames = Object.keys(pluginOptions.style).filter((key) => key !== 'preprocessors');
+  if (styleOptionNames.length) {
+    logger.warn(
+      `style.${styleOptionNames.join(', style.')} only reach custom preprocessors; ` +
+      'configure Sass, Less and Stylus with Vite\'s css.preprocessorOptions'
+    );
+  }
+
+  const matchesAny = (patterns, file) => [].concat(patterns || []).some((pattern) => pattern.test(file));
+  const isSfcFile = (file) => matchesAny(pluginOptions.include, file) && !matchesAny(pluginOptions.exclude, file);
+
+  // One entry per file and output ('script' or 'style'), valid while the hash
+  // of the blocks it was built from matches. SSR builds of a script get their own.
+  const cache = new LRUCache(pluginOptions.cacheSize);
+  const getCacheId = (filePath, kind, ssr) => `${filePath}?${kind}${ssr ? '&ssr' : ''}`;
+  // Set up once Vite's cache directory is known
+  let diskCache = null;
+  const optionsHash = hashOptions(pluginOptions);
+  const getDiskKey = (id, hash) => createHash('md5').update(`${optionsHash}|${id}|${hash}`).digest('hex');
+
+  // Returns the cache entry, holding the `result` and any `extra` data stored with it
+  function getCached(id, hash) {
+    const entry = cache.get(id);
+    if (entry && entry.hash === hash) return entry;
+
+    const stored = diskCache && diskCache.get(getDiskKey(id, hash));
+    if (!stored) return null;
+    cache.set(id, { ...stored, hash });
+    return stored;
+  }
+
+  function setCached(id, kind, hash, result, filePath, externalSources, extra = null) {
+    const files = [filePath, ...[...externalSources.values()].map(({ file }) => file)];
+    cache.set(id, { kind, hash, files, result, extra });
+    if (diskCache) diskCache.set(getDiskKey(id, hash), { kind, files, result, extra });
+  }
+
+  // Drops the outputs built from a file, the `.au` file itself or one its blocks load
+  function evictCached(file, kinds = ['script', 'style']) {
+    for (const [id, entry] of [...cache.entries()]) {
+      if (entry.files.includes(file) && kinds.includes(entry.kind)) {
+        cache.delete(id);
+      }
+    }
+  }
+
+  // Component HMR code is only emitted for the dev server
+  let isServe = false;
+  // Last loaded content of each `.au` file, to tell style-only edits apart
+  const sfcSources = new Map();
+
+  // Loads one style block for Vite's CSS plugin, running its custom preprocessor if any
+  async function loadStyleRequest({ filePath, index }) {
+    const source = readFileSync(filePath, 'utf-8');
+    sfcSources.set(filePath, source);
+    const root = parseHTML(source, Object.keys(pluginOptions.customBlocks));
+    const block = getStyleBlocks(root, filePath, pluginOptions.style)[index];
+    if (!block) {
+      throw new Error(`No <style> block at index ${index}`);
+    }
+
+    const cacheId = getCacheId(filePath, `style&index=${index}`);
+    const content = getPaddedBlockContent(source, block.tag);
+    const hash = createHash('md5').update(`<${block.tag.rawTagName} ${block.tag.rawAttrs}>${content}`).digest('hex');
+
+    const cached = getCached(cacheId, hash);
+    if (cached) return cached.result;
+
+    const result = await loadStyleBlock(filePath, source, block, pluginOptions.style);
+    setCached(cacheId, 'style', hash, result, filePath, new Map());
+    return result;
+  }
+
+  // Loads a stylesheet a `<style src>` block points to, running the block's custom preprocessor if any
+  async function loadExternalStyleRequest({ filePath, preprocessor }) {
+    const content = readFileSync(filePath, 'utf-8');
+    const block = { external: { file: filePath, content }, lang: preprocessor || 'css' };
+    const cacheId = getCacheId(filePath, `style&src&preprocessor=${block.lang}`);
+    const hash = createHash('md5').update(content).digest('hex');
+
+    const cached = getCached(cacheId, hash);
+    if (cached) return cached.result;
+
+    const result = await loadStyleBlock(filePath, content, block, pluginOptions.style);
+    setCached(cacheId, 'style', hash, result, filePath, new Map());
+    return result;
+  }
+
+  let templatePrecompiler = null;
+  function getTemplatePrecompiler() {
+    if (!templatePrecompiler) {
+      const precompileOptions = typeof pluginOptions.precompile === 'object'
+        ? pluginOptions.precompile
+        : {};
+      templatePrecompiler = createTemplatePrecompiler(precompileOptions);
+      // Allow a retry once missing packages are installed
+      templatePrecompiler.catch(() => {
+        templatePrecompiler = null;
+      });
+    }
+    return templatePrecompiler;
+  }
+
+  async function precompileTemplate(name, templateStr, filePath) {
+    const precompiler = await getTemplatePrecompiler();
+    const unknownElements = precompiler.findUnknownElements(templateStr);
+    if (unknownElements.length) {
+      logger.warn(
+        `Skipping template precompilation for ${filePath}, unknown custom elements: ${unknownElements.join(', ')}`
+      );
+      return null;
+    }
+
+    try {
+      return precompiler.compile(name, templateStr);
+    } catch (error) {
+      throw new Error(`Template compilation failed: ${error.message}`);
+    }
+  }
+
+  // Scoping runs once Vite's CSS plugin has compiled a block, before it becomes JS
+  const stylePlugin = {
+    name: 'vite-plugin-aurelia-sfc:style',
+
+    transform(code, id) {
+      const request = parseSfcRequest(id);
+      if (!request || request.type !== 'style' || !request.scoped) return null;
+      return scopeCompiledStyles(code, request.filePath, `data-v-${request.scoped}`);
+    },
+  };
+
+  // Class names of inline CSS modules, from Vite's CSS plugin to the module it turns them into
+  const styleModuleLocals = new Map();
+  const isInlineStyleModule = (id) => {
+    const request = parseSfcRequest(id);
+    return Boolean(request && request.type === 'style' && request.inline && id.includes('&lang.module.'));
+  };
+
+  const styleModulesPlugin = {
+    name: 'vite-plugin-aurelia-sfc:style-modules',
+    enforce: 'post',
+
+    transform(code, id) {
+      if (!isInlineStyleModule(id)) return null;
+      const locals = styleModuleLocals.get(id);
+      if (!locals) {
+        this.error(`No class names for ${id}: CSS modules in shadow DOM components need Vite's PostCSS CSS modules`);
+      }
+      styleModuleLocals.delete(id);
+      return { code: `${code}\nexport const ${STYLE_MODULE_LOCALS} = ${JSON.stringify(locals)};`, map: { mappings: '' } };
+    },
+  };
+
+  return [{
     name: 'vite-plugin-aurelia-sfc',
     enforce: 'pre',
 
+    config(config) {
+      const modulesOptions = config.css && config.css.modules;
+      if (modulesOptions === false) return undefined;
+
+      const userGetJSON = modulesOptions && modulesOptions.getJSON;
+      return {
+        css: {
+          modules: {
+            getJSON(cssFileName, json, outputFileName) {
+              if (isInlineStyleModule(cssFileName)) styleModuleLocals.set(cssFileName, json);
+              if (typeof userGetJSON === 'function') userGetJSON(cssFileName, json, outputFileName);
+            },
+          },
+        },
+      };
+    },
+
+    configResolved(config) {
+      isServe = config.command === 'serve';
+
+      const cacheOptions = pluginOptions.cache === true ? {} : pluginOptions.cache;
+      const cacheDir = cacheOptions && (cacheOptions.dir || (config.cacheDir && path.join(config.cacheDir, 'aurelia-sfc')));
+      if (cacheDir) {
+        diskCache = new DiskCache(path.resolve(config.root || '', cacheDir), cacheOptions.maxAge);
+        diskCache.prune();
+      }
+    },
+
     configureServer(server) {
       // Clear cache on server restart
       cache.clear();
-      fileTimeCache.clear();
       
       return () => {
         server._ssrExternals = server._ssrExternals || {};
       };
     },
 
-    handleHotUpdate(ctx) {
-      if (ctx.file.endsWith('.au')) {
-        // Clear related cache entries
-        const cacheKeysToDelete = [];
-        for (const [key] of cache.cache) {
-          if (key.includes(ctx.file)) {
-            cacheKeysToDelete.push(key);
-          }
-        }
-        cacheKeysToDelete.forEach(key => cache.cache.delete(key));
-        fileTimeCache.delete(ctx.file);
-        
-        // Update all modules that import this SFC
-        const modules = [...ctx.modules];
-        ctx.server.reloadModule(ctx.modules[0]);
-        return modules;
+    async handleHotUpdate(ctx) {
+      if (!ctx.file.endsWith('.au')) {
+        // Edits to external block files rebuild the components that load them
+        evictCached(ctx.file);
+        return undefined;
       }
+
+      const previous = sfcSources.get(ctx.file);
+      const content = await ctx.read();
+      sfcSources.set(ctx.file, content);
+
+      // Style blocks are requests on the `.au` file itself, so Vite lists them
+      const styleModules = ctx.modules.filter((mod) => {
+        const request = mod.id && parseSfcRequest(mod.id);
+        return request && request.type === 'style';
+      });
+      // Stylesheets update on their own, without re-running the component
+      if (
+        previous !== undefined &&
+        styleModules.length &&
+        isStyleOnlyChange(previous, content, Object.keys(pluginOptions.customBlocks))
+      ) {
+        evictCached(ctx.file, ['style']);
+        return styleModules;
+      }
+
+      // The component module accepts its own update and re-renders live instances
+      evictCached(ctx.file);
+      return ctx.modules;
     },
 
-    resolveId(id, importer) {
+    async resolveId(id, importer, resolveOptions) {
+      if (id === HMR_RUNTIME_ID) return RESOLVED_HMR_RUNTIME_ID;
+      // Block requests already carry a query, and are resolved by Vite
+      if (!id.endsWith('.au')) return null;
+
       try {
-        if (id.endsWith('.au.css')) {
-          const auFile = id.replace('.css', '');
-          if (auFile.startsWith('./') || auFile.startsWith('../')) {
-            const resolvedPath = path.resolve(path.dirname(importer || ''), auFile);
-            return `virtual:${resolvedPath}.css`;
-          }
-          return `virtual:${id}`;
-        }
-        
-        if (id.endsWith('.au')) {
-          if (id.startsWith('./') || id.startsWith('../')) {
-            const resolvedPath = path.resolve(path.dirname(importer || ''), id);
-            return `virtual:${resolvedPath}`;
-          }
-          return `virtual:${id}`;
-        }
-        
-        return null;
+        // Let Vite resolve relative paths, aliases and packages to the file
+        const resolved = await this.resolve(id, importer, { ...resolveOptions, skipSelf: true });
+        if (!resolved || resolved.external || !isSfcFile(resolved.id)) return null;
+        return getScriptRequest(resolved.id);
       } catch (error) {
         logger.error(`Error resolving ${id}: ${error.message}`);
         return null;
       }
     },
 
-    async load(id) {
-      if (!id.startsWith('virtual:')) return null;
-      
-      const filePath = id.replace('virtual:', '');
-      
-      try {
-        // Handle .au.css files (virtual files generated from .au files)
-        if (filePath.endsWith('.au.css')) {
-          const auFilePath = filePath.replace('.css', '');
-          
-          if (!existsSync(auFilePath)) {
-            throw new Error(`Could not find .au file at ${auFilePath}`);
-          }
-
-          const code = readFileSync(auFilePath, 'utf-8');
-          const fileStats = statSync(auFilePath);
-          const cacheKey = getCacheKey(auFilePath, pluginOptions, code, fileStats);
-
-          if (!shouldRecompile(auFilePath, cacheKey)) {
-            return cache.get(cacheKey);
-          }
-
-          const root = parse(code);
-          const styleTags = root.querySelectorAll('style');
-          
-          if (!styleTags.length) {
-            cache.set(cacheKey, '');
-            return '';
-          }
+    async load(id, loadOptions) {
+      if (id === RESOLVED_HMR_RUNTIME_ID) return HMR_RUNTIME;
 
-          let finalCss = '';
-          
-          for (const styleTag of styleTags) {
-            let css = styleTag.innerText.trim();
-            if (!css) continue;
-
-            const lang = styleTag.getAttribute('lang') || 'css';
-            
-            try {
-              if (lang !== 'css') {
-                css = await processCss(css, lang, pluginOptions.style);
-              }
-
-              if (styleTag.rawAttrs.includes('scoped')) {
-                const scopeId = generateScopeId(auFilePath);
-                css = scopeStyles(css, scopeId);
-              }
-
-              finalCss += (finalCss ? '\n' : '') + css;
-            } catch (error) {
-              logger.error(`Error processing style block in ${auFilePath}: ${error.message}`);
-              throw error;
-            }
-          }
+      const request = parseSfcRequest(id);
+      if (!request) return null;
+      const { filePath } = request;
 
-          cache.set(cacheKey, finalCss);
-          return finalCss;
+      if (request.type === 'style') {
+        try {
+          return request.src ? await loadExternalStyleRequest(request) : await loadStyleRequest(request);
+        } catch (error) {
+          logger.error(`Error processing style block in ${filePath}: ${error.message}`);
+          this.error(`Failed to process ${id}: ${error.message}`);
         }
-
-        // Handle .au files
-        if (filePath.endsWith('.au')) {
+      }
+      
+      try {
+        // Handle the component module
+        if (request.type === 'script') {
           if (!existsSync(filePath)) {
             throw new Error(`File not found: ${filePath}`);
           }
 
           const fileContent = readFileSync(filePath, 'utf-8');
-          const fileStats = statSync(filePath);
-          const cacheKey = getCacheKey(filePath, pluginOptions, fileContent, fileStats);
+          sfcSources.set(filePath, fileContent);
+          const root = parseHTML(fileContent, Object.keys(pluginOptions.customBlocks));
+          const externalSources = readExternalSources(root, filePath);
+          watchExternalSources(this, externalSources);
+          const ssr = Boolean(loadOptions && loadOptions.ssr);
+          const hmr = isServe && !ssr;
+          const cacheId = getCacheId(filePath, 'script', ssr);
+          const hash = hashBlocks(getBlockHashes(root, fileContent, externalSources), String(hmr));
 
-          if (!shouldRecompile(filePath, cacheKey)) {
-            return cache.get(cacheKey);
+          // Custom block handlers may have side effects, so they run even when the
+          // module is cached. Output that differs from the cached one rebuilds it.
+          const cached = getCached(cacheId, hash);
+          let customBlocksCode = null;
+          if (cached && cached.extra) {
+            customBlocksCode = await processCustomBlocks(
+              root,
+              fileContent,
+              filePath,
+              pluginOptions.customBlocks,
+              cached.extra.component
+            );
+            if (JSON.stringify(customBlocksCode) === JSON.stringify(cached.extra.customBlocksCode)) {
+              return cached.result;
+            }
           }
 
-          const root = parse(fileContent);
-          const { script, template, styles } = validateSFCStructure(root, filePath);
+          const { script, moduleScript, template, localTemplates } = validateSFCStructure(root, filePath);
 
-          const scriptCode = script.innerText.trim();
-          const rawTemplate = template.innerHTML.trim();
+          // Without a script, a class is synthesized and named after the element
+          const templateName = template.getAttribute('as-custom-element') || null;
+          const { content: scriptCode, offset: scriptOffset, file: scriptFile, source: scriptSource } = script
+            ? getBlockSource(fileContent, script, filePath, externalSources)
+            : {
+              content: `export default class ${pascalCase(templateName || path.basename(filePath, '.au'))} {}`,
+              offset: 0,
+              file: filePath,
+              source: fileContent,
+            };
+          const templateSource = getTemplateSource(template, externalSources);
+          const {
+            template: rawTemplate,
+            imports: templateImports,
+            bindables,
+          } = extractTemplateDeclarations(templateSource.content, filePath, templateSource.bindable);
 
-          // Check for scoped styles
-          const hasScoped = styles.some(styleTag => 
-            styleTag.rawAttrs.includes('scoped')
-          );
+          // Check for shadow DOM mode and scoped styles
+          const shadowMode = getShadowMode(root);
+          const styleBlocks = getStyleBlocks(root, filePath, pluginOptions.style, externalSources);
+          const hasShadowStyles = Boolean(shadowMode) && styleBlocks.length > 0;
+          const hasScoped = styleBlocks.some((block) => block.scoped);
           
           const scopeId = hasScoped ? generateScopeId(filePath) : null;
-          const styleImport = styles.length ? `import '${filePath}.css';` : '';
+          const {
+            imports: styleImports,
+            modules: styleModules,
+            shadowCssIds,
+          } = generateStyleImportsCode(filePath, styleBlocks, shadowMode);
 
-          const { imports, classContent } = extractImportsAndContent(scriptCode);
+          const {
+            imports,
+            importedNames,
+            body,
+            className,
+            definition,
+            elementName,
+            decoratorOffset,
+            membersOffset,
+            classNameOffset,
+          } = analyzeScript(
+            scriptCode,
+            scriptOffset,
+            filePath,
+            scriptFile
+          );
           
-          // Determine component name
-          let componentName = extractElementName(classContent);
-          if (!componentName) {
-            const className = extractClassName(classContent);
-            componentName = kebabCase(className);
+          let moduleCode = { imports: [], importedNames: [], body: [], resources: [] };
+          let moduleSource = null;
+          if (moduleScript) {
+            moduleSource = getBlockSource(fileContent, moduleScript, filePath, externalSources);
+            moduleCode = analyzeModuleScript(moduleSource.content, moduleSource.offset, filePath, moduleSource.file);
           }
 
+          // Determine component name
+          const componentName = elementName || templateName || kebabCase(className);
+
           // Process template
           const processedTemplate = hasScoped
             ? injectScopeAttribute(rawTemplate, scopeId)
             : rawTemplate;
 
-          // Build final imports
-          const allImports = new Set([
+          // Optionally compile the template to Aurelia instructions at build time
+          const precompiled = pluginOptions.precompile
+            ? await precompileTemplate(componentName, processedTemplate, filePath)
+            : null;
+
+          const definitionOptions = { name: `'${componentName}'`, template: 'template' };
+          if (shadowMode) {
+            definitionOptions.shadowOptions = `{ mode: '${shadowMode}' }`;
+          }
+          if (bindables.length) {
+            definitionOptions.bindables = formatBindables(bindables);
+          }
+          const templateImportsCode = generateTemplateImportsCode(templateImports);
+          const localElements = generateLocalElementsCode(localTemplates, filePath, scopeId, externalSources);
+          const dependencies = [
+            ...moduleCode.resources,
+            ...templateImportsCode.dependencies,
+            ...localElements.elements,
+            ...(hasShadowStyles ? ['shadowCSS(__auShadowStyles)'] : []),
+          ];
+          if (dependencies.length) {
+            definitionOptions.dependencies = dependencies;
+          }
+          if (precompiled) {
+            Object.assign(definitionOptions, {
+              instructions: '__auInstructions',
+              surrogates: '__auSurrogates',
+              hasSlots: String(precompiled.hasSlots),
+              needsCompile: 'false',
+            });
+          }
+
+          // Build final imports, reusing bindings the script already imports
+          const useStaticDefinition = pluginOptions.definition === 'static';
+          const existingBindables = definition && definition.kind === 'object' && definition.lists.bindables;
+          const normalizesBindables = Boolean(definitionOptions.bindables && existingBindables && existingBindables.normalize);
+          const aureliaImports = [
+            definition || useStaticDefinition ? null : 'customElement',
+            hasShadowStyles ? 'shadowCSS' : null,
+            localTemplates.length ? 'CustomElement' : null,
+            normalizesBindables ? 'Bindable' : null,
+          ].filter((name) => name && !importedNames.includes(name) && !moduleCode.importedNames.includes(name));
+          const generatedImports = [...new Set([...templateImportsCode.imports, ...localElements.imports])];
+          if (aureliaImports.length) {
+            generatedImports.unshift(`import { ${aureliaImports.join(', ')} } from 'aurelia';`);
+          }
+          if (hmr) {
+            generatedImports.push(`import { acceptComponent as __auAcceptComponent } from '${HMR_RUNTIME_ID}';`);
+          }
+          const allImports = [
+            ...moduleCode.imports.filter((entry) => !imports.some((other) => other.code === entry.code)),
             ...imports,
-            "import { customElement } from 'aurelia';"
-          ]);
+            ...generatedImports.map((code) => ({ code, offset: null })),
+          ];
+
+          // Generate final script, tracking where each piece came from
+          const finalScript = new MappedCode(fileContent, filePath).addSource(scriptFile, scriptSource);
+          if (moduleSource) {
+            finalScript.addSource(moduleSource.file, moduleSource.source);
+          }
+          for (const { code, offset, file } of allImports) {
+            finalScript.appendLine(code, offset, file);
+          }
+          [
+            ...styleImports,
+            `const template = \`${escapeTemplate(precompiled ? precompiled.template : processedTemplate)}\`;`,
+            precompiled ? `const __auInstructions = ${precompiled.instructions};` : '',
+            precompiled ? `const __auSurrogates = ${precompiled.surrogates};` : '',
+            hasShadowStyles ? generateShadowStylesCode(shadowCssIds.length) : '',
+            ...localElements.declarations,
+          ].filter(Boolean).forEach((code) => finalScript.appendLine(code));
+
+          // Module-level code precedes the class, which may list its resources
+          for (const { code, offset, file } of moduleCode.body) {
+            finalScript.appendLine(code, offset, file);
+          }
 
-          // Apply decorator to the class
-          const decoratedClassContent = classContent.replace(
-            /export\s+default\s+class\s+(\w+)/,
-            `@customElement({ name: '${componentName}', template })\nexport default class $1`
+          // Merge into the author's definition, or add one
+          let insertions;
+          if (definition) {
+            insertions = mergeDefinition(definition, definitionOptions);
+          } else if (useStaticDefinition) {
+            const staticDefinition = { type: "'custom-element'", ...definitionOptions };
+            insertions = [{ offset: membersOffset, code: `\n  static $au = ${formatDefinition(staticDefinition)};` }];
+          } else {
+            insertions = [{ offset: decoratorOffset, code: `@customElement(${formatDefinition(definitionOptions)})\n` }];
+          }
+          if (classNameOffset !== null) {
+            insertions.push({ offset: classNameOffset, code: ` ${className}` });
+          }
+          insertions.sort((a, b) => a.offset - b.offset);
+          for (const { code, offset, file } of body) {
+            finalScript.appendSource(code, offset, insertions, file).appendLine();
+          }
+
+          const component = { className, componentName };
+          customBlocksCode = customBlocksCode || await processCustomBlocks(
+            root,
+            fileContent,
+            filePath,
+            pluginOptions.customBlocks,
+            component
           );
 
-          // Generate final script
-          const finalScript = [
-            Array.from(allImports).join('\n'),
-            styleImport,
-            '',
-            `const template = \`${escapeTemplate(processedTemplate)}\`;`,
-            '',
-            decoratedClassContent
-          ].filter(Boolean).join('\n');
+          [
+            hasScoped ? generateHostScopeCode(className, scopeId) : '',
+            styleModules ? generateStyleModulesCode(className, styleModules) : '',
+            hasShadowStyles ? generateShadowStylesHmrCode(shadowCssIds) : '',
+            ...customBlocksCode,
+            hmr ? generateComponentHmrCode(className) : '',
+          ].filter(Boolean).forEach((code) => finalScript.appendLine(code));
 
           // Transpile TypeScript/JavaScript
           const transpileOptions = {
@@ -532,17 +2238,19 @@ export default function aureliaSingleFileComponent(options = {}) {
             fileName: filePath,
           };
 
-          const transpiled = ts.transpileModule(finalScript, transpileOptions);
+          const transpiled = ts.transpileModule(finalScript.toString(), transpileOptions);
           
-          let finalOutput = transpiled.outputText;
-          
-          if (transpiled.sourceMapText) {
-            const sourceMapBase64 = Buffer.from(transpiled.sourceMapText).toString('base64');
-            finalOutput += `\n//# sourceMappingURL=data:application/json;base64,${sourceMapBase64}`;
-          }
+          // Vite receives the map directly, so drop TypeScript's map comment
+          const result = {
+            code: transpiled.outputText.replace(/\n\/\/# sourceMappingURL=.*\s*$/, '\n'),
+            // A synthesized class has nothing in the .au file to map back to
+            map: transpiled.sourceMapText && script
+              ? composeScriptMap(transpiled.sourceMapText, finalScript, filePath)
+              : null,
+          };
 
-          cache.set(cacheKey, finalOutput);
-          return finalOutput;
+          setCached(cacheId, 'script', hash, result, filePath, externalSources, { component, customBlocksCode });
+          return result;
         }
 
         return null;
@@ -551,5 +2259,5 @@ export default function aureliaSingleFileComponent(options = {}) {
         this.error(`Failed to process ${filePath}: ${error.message}`);
       }
     }
-  };
+  }, stylePlugin, styleModulesPlugin];
 }